@@ -0,0 +1,461 @@
+/**
+ * Structural analysis: radius of gyration, end-to-end distance, contour length and
+ * center of mass per strand and for the whole system, for single frames and trajectories,
+ * clusters of bonded or nearby particles, and bound patch pairs
+ */
+
+import { PBCUtils, VectorUtils, SpatialGrid } from './utils.js';
+
+// Patch color that never binds
+const BLANK_PATCH_COLOR = 100;
+
+// Longest stretch, in milliseconds, that a trajectory computation runs before letting the page update
+const TIME_SERIES_SLICE = 30;
+
+// Metrics that can be plotted over a trajectory
+export const STRUCTURE_METRICS = {
+    radiusOfGyration: { title: 'Radius of gyration' },
+    endToEnd: { title: 'End-to-end distance' },
+    contourLength: { title: 'Contour length' }
+};
+
+/**
+ * Length of the bond between two positions, using the minimum image in a periodic box
+ */
+function bondLength(from, to, box) {
+    let dx = to.x - from.x;
+    let dy = to.y - from.y;
+    let dz = to.z - from.z;
+    if (PBCUtils.hasBox(box)) {
+        dx -= box.x * Math.round(dx / box.x);
+        dy -= box.y * Math.round(dy / box.y);
+        dz -= box.z * Math.round(dz / box.z);
+    }
+    return Math.sqrt(dx * dx + dy * dy + dz * dz);
+}
+
+/**
+ * Per-strand and whole-system structure metrics
+ */
+export class StructureAnalysis {
+    /**
+     * Metrics for every strand in ascending id order, followed by the whole system
+     * ({ strand: 'all' }, without an end-to-end distance). Bonded groups are unwrapped
+     * in a periodic box, so strands crossing a face are measured whole.
+     */
+    static compute(data, positions = data.particles.map(p => p.position), box = data.metadata.box) {
+        const particles = data.particles;
+        const { coordinates } = PBCUtils.unwrapCoordinates(positions, data.adjacency, box);
+
+        // Particle indices of each strand in topology order, which runs along the strand
+        const strands = new Map();
+        particles.forEach(particle => {
+            if (!strands.has(particle.strand)) strands.set(particle.strand, []);
+            strands.get(particle.strand).push(particle.index);
+        });
+
+        // Contour length: the sum of bond lengths within each strand
+        const contour = new Map();
+        data.bonds.forEach(bond => {
+            const strand = particles[bond.from].strand;
+            if (strand !== particles[bond.to].strand) return;
+
+            const length = bondLength(positions[bond.from], positions[bond.to], box);
+            contour.set(strand, (contour.get(strand) || 0) + length);
+        });
+
+        const rows = [...strands.keys()].sort((a, b) => a - b).map(strand => {
+            const indices = strands.get(strand);
+            const first = indices[0] * 3;
+            const last = indices[indices.length - 1] * 3;
+            return {
+                strand,
+                count: indices.length,
+                ...StructureAnalysis.massMetrics(coordinates, particles, box, indices),
+                endToEnd: Math.hypot(
+                    coordinates[last] - coordinates[first],
+                    coordinates[last + 1] - coordinates[first + 1],
+                    coordinates[last + 2] - coordinates[first + 2]
+                ),
+                contourLength: contour.get(strand) || 0
+            };
+        });
+
+        rows.push(StructureAnalysis.computeSystem(data, positions, box, coordinates));
+
+        return rows;
+    }
+
+    /**
+     * Whole-system metrics only ({ strand: 'all' } row of compute), cheap enough to run on every
+     * trajectory frame. Pass the unwrapped coordinates when they are already at hand.
+     */
+    static computeSystem(data, positions = data.particles.map(p => p.position), box = data.metadata.box, coordinates = null) {
+        if (!coordinates) {
+            coordinates = PBCUtils.unwrapCoordinates(positions, data.adjacency, box).coordinates;
+        }
+
+        let contourLength = 0;
+        data.bonds.forEach(bond => {
+            contourLength += bondLength(positions[bond.from], positions[bond.to], box);
+        });
+
+        return {
+            strand: 'all',
+            count: data.particles.length,
+            ...StructureAnalysis.massMetrics(coordinates, data.particles, box),
+            endToEnd: NaN,
+            contourLength
+        };
+    }
+
+    /**
+     * Mass-weighted center of mass (wrapped back into the box) and radius of gyration of the
+     * given particles, or of all particles, from packed unwrapped coordinates
+     */
+    static massMetrics(coordinates, particles, box, indices = null) {
+        const count = indices ? indices.length : particles.length;
+
+        let totalMass = 0;
+        let cx = 0;
+        let cy = 0;
+        let cz = 0;
+        for (let k = 0; k < count; k++) {
+            const i = indices ? indices[k] : k;
+            const mass = particles[i].mass;
+            totalMass += mass;
+            cx += mass * coordinates[i * 3];
+            cy += mass * coordinates[i * 3 + 1];
+            cz += mass * coordinates[i * 3 + 2];
+        }
+        if (totalMass > 0) {
+            cx /= totalMass;
+            cy /= totalMass;
+            cz /= totalMass;
+        }
+
+        let sum = 0;
+        for (let k = 0; k < count; k++) {
+            const i = indices ? indices[k] : k;
+            const dx = coordinates[i * 3] - cx;
+            const dy = coordinates[i * 3 + 1] - cy;
+            const dz = coordinates[i * 3 + 2] - cz;
+            sum += particles[i].mass * (dx * dx + dy * dy + dz * dz);
+        }
+
+        const center = new BABYLON.Vector3(cx, cy, cz);
+        return {
+            radiusOfGyration: totalMass > 0 ? Math.sqrt(sum / totalMass) : 0,
+            centerOfMass: PBCUtils.hasBox(box) ? PBCUtils.wrapPosition(center, box) : center
+        };
+    }
+
+    /**
+     * Metrics for every frame of a trajectory, read one frame at a time from a frame source.
+     * onProgress(done, total) may return false to stop early; the frames read so far are kept.
+     * In-memory frames resolve without a task switch, so the loop yields to the event loop
+     * itself every TIME_SERIES_SLICE ms to let progress paint and stop clicks through.
+     */
+    static async computeTimeSeries(data, frameSource, onProgress = null) {
+        const frames = [];
+        let sliceStart = performance.now();
+
+        for (let i = 0; i < frameSource.frameCount; i++) {
+            const frame = await frameSource.getFrame(i);
+            frames.push({
+                timestep: frame.timestep,
+                rows: StructureAnalysis.compute(data, StructureAnalysis.framePositions(frame, data.particles.length), frame.box)
+            });
+
+            if (onProgress && onProgress(i + 1, frameSource.frameCount) === false) break;
+
+            if (performance.now() - sliceStart > TIME_SERIES_SLICE) {
+                await new Promise(resolve => setTimeout(resolve));
+                sliceStart = performance.now();
+
+                // A stop may have been clicked while yielding
+                if (onProgress && onProgress(i + 1, frameSource.frameCount) === false) break;
+            }
+        }
+
+        return frames;
+    }
+
+    /**
+     * Positions of a parsed configuration as Vector3s
+     */
+    static framePositions(configuration, count) {
+        const positions = configuration.positions;
+        const result = new Array(count);
+        for (let i = 0; i < count; i++) {
+            result[i] = i < configuration.count
+                ? new BABYLON.Vector3(positions[i * 3], positions[i * 3 + 1], positions[i * 3 + 2])
+                : new BABYLON.Vector3();
+        }
+        return result;
+    }
+
+    /**
+     * CSV with one row per strand and frame: frames is a list of { timestep, rows }
+     */
+    static toCSV(frames) {
+        const lines = ['timestep,strand,particles,radius_of_gyration,end_to_end,contour_length,com_x,com_y,com_z'];
+        const number = value => Number.isFinite(value) ? value.toFixed(6) : '';
+
+        frames.forEach(({ timestep, rows }) => {
+            rows.forEach(row => {
+                lines.push([
+                    timestep, row.strand, row.count,
+                    number(row.radiusOfGyration), number(row.endToEnd), number(row.contourLength),
+                    number(row.centerOfMass.x), number(row.centerOfMass.y), number(row.centerOfMass.z)
+                ].join(','));
+            });
+        });
+
+        return lines.join('\n') + '\n';
+    }
+}
+
+/**
+ * Connected components (aggregates) of the bond graph, optionally joined by a distance cutoff
+ */
+export class ClusterAnalysis {
+    /**
+     * Cluster every particle. Particles are in one cluster when a chain of bonds, or of
+     * center-to-center distances up to `cutoff` (0 = bonds only; minimum image in a periodic
+     * box), connects them. Clusters are numbered from the largest down; equal sizes keep
+     * the order of their lowest particle index.
+     * Returns { labels: cluster per particle, sizes: particles per cluster, count }.
+     */
+    static compute(data, cutoff = 0, positions = data.particles.map(p => p.position), box = data.metadata.box) {
+        const count = positions.length;
+
+        // Union-find with path halving
+        const parent = new Int32Array(count);
+        for (let i = 0; i < count; i++) parent[i] = i;
+        const find = i => {
+            while (parent[i] !== i) {
+                parent[i] = parent[parent[i]];
+                i = parent[i];
+            }
+            return i;
+        };
+        const union = (a, b) => {
+            const rootA = find(a);
+            const rootB = find(b);
+            if (rootA !== rootB) parent[Math.max(rootA, rootB)] = Math.min(rootA, rootB);
+        };
+
+        data.bonds.forEach(bond => union(bond.from, bond.to));
+
+        if (cutoff > 0) {
+            const grid = new SpatialGrid(positions, cutoff, PBCUtils.hasBox(box) ? box : null);
+            for (let i = 0; i < count; i++) {
+                grid.forEachWithin(positions[i], cutoff, j => {
+                    if (j > i) union(i, j);
+                });
+            }
+        }
+
+        // Roots are each cluster's lowest index, so first appearance gives index order
+        const rootSizes = new Map();
+        for (let i = 0; i < count; i++) {
+            const root = find(i);
+            rootSizes.set(root, (rootSizes.get(root) || 0) + 1);
+        }
+
+        const roots = [...rootSizes.keys()].sort((a, b) => rootSizes.get(b) - rootSizes.get(a) || a - b);
+        const clusterOfRoot = new Map(roots.map((root, cluster) => [root, cluster]));
+
+        const labels = new Int32Array(count);
+        for (let i = 0; i < count; i++) {
+            labels[i] = clusterOfRoot.get(find(i));
+        }
+
+        return { labels, sizes: roots.map(root => rootSizes.get(root)), count: roots.length };
+    }
+
+    /**
+     * Cluster size distribution as [size, number of clusters] pairs, smallest size first
+     */
+    static sizeDistribution(sizes) {
+        const histogram = new Map();
+        sizes.forEach(size => histogram.set(size, (histogram.get(size) || 0) + 1));
+        return [...histogram].sort((a, b) => a[0] - b[0]);
+    }
+
+    /**
+     * Particle indices of one cluster
+     */
+    static members(clusters, cluster) {
+        const indices = [];
+        clusters.labels.forEach((label, index) => {
+            if (label === cluster) indices.push(index);
+        });
+        return indices;
+    }
+}
+
+/**
+ * Patch-patch binding: complementary patches (colors c and -c) on different particles
+ * whose oriented sites are within a cutoff of each other
+ */
+export class PatchBinding {
+    /**
+     * Whether two patch colors bind; 0 and the blank color 100 never do
+     */
+    static isComplementary(colorA, colorB) {
+        return colorA !== 0 && colorA === -colorB && Math.abs(colorA) !== BLANK_PATCH_COLOR;
+    }
+
+    /**
+     * Find bound patch pairs. Each patch binds at most one partner: candidate pairs are
+     * taken closest first, skipping patches that are already bound.
+     * Returns { sites: [{ particle, patch, position }], pairs: [{ a, b, distance }] with
+     * a and b indexing sites, partner: bound site per site or -1 }.
+     */
+    static compute(data, cutoff, positions = data.particles.map(p => p.position), box = data.metadata.box) {
+        const sites = [];
+        data.particles.forEach(particle => {
+            if (particle.patches.length === 0) return;
+
+            const orientation = VectorUtils.createOrientationMatrix(particle.baseVector, particle.normalVector);
+            particle.patches.forEach(patch => {
+                sites.push({
+                    particle: particle.index,
+                    patch,
+                    position: VectorUtils.calculatePatchPosition(positions[particle.index], patch.position, orientation)
+                });
+            });
+        });
+
+        const candidates = [];
+        if (cutoff > 0 && sites.length > 0) {
+            const grid = new SpatialGrid(sites.map(site => site.position), cutoff, PBCUtils.hasBox(box) ? box : null);
+            sites.forEach((site, i) => {
+                grid.forEachWithin(site.position, cutoff, (j, distanceSquared) => {
+                    const other = sites[j];
+                    if (j <= i || other.particle === site.particle) return;
+                    if (!PatchBinding.isComplementary(site.patch.color, other.patch.color)) return;
+                    candidates.push({ a: i, b: j, distance: Math.sqrt(distanceSquared) });
+                });
+            });
+        }
+
+        candidates.sort((x, y) => x.distance - y.distance);
+        const partner = new Int32Array(sites.length).fill(-1);
+        const pairs = [];
+        candidates.forEach(candidate => {
+            if (partner[candidate.a] !== -1 || partner[candidate.b] !== -1) return;
+            partner[candidate.a] = candidate.b;
+            partner[candidate.b] = candidate.a;
+            pairs.push(candidate);
+        });
+
+        return { sites, pairs, partner };
+    }
+
+    /**
+     * Bound fraction per patch definition (iP id), in id order
+     */
+    static statistics(bindings) {
+        const byId = new Map();
+        bindings.sites.forEach((site, i) => {
+            const { id, color, strength } = site.patch;
+            if (!byId.has(id)) byId.set(id, { id, color, strength, total: 0, bound: 0 });
+            const entry = byId.get(id);
+            entry.total++;
+            if (bindings.partner[i] !== -1) entry.bound++;
+        });
+
+        return [...byId.values()]
+            .sort((a, b) => a.id - b.id)
+            .map(entry => ({ ...entry, fraction: entry.total > 0 ? entry.bound / entry.total : 0 }));
+    }
+}
+
+/**
+ * Line plot of one metric against the timestep on a 2D canvas
+ */
+export class TimeSeriesPlot {
+    constructor(canvas) {
+        this.canvas = canvas;
+        this.ctx = canvas.getContext('2d');
+    }
+
+    /**
+     * Draw values over timesteps; the point at currentTimestep is marked
+     */
+    draw(timesteps, values, currentTimestep = null) {
+        const { canvas, ctx } = this;
+        const ratio = window.devicePixelRatio || 1;
+        const width = canvas.clientWidth;
+        const height = canvas.clientHeight;
+        canvas.width = width * ratio;
+        canvas.height = height * ratio;
+        ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+        ctx.clearRect(0, 0, width, height);
+
+        const finite = values.filter(Number.isFinite);
+        ctx.font = '10px sans-serif';
+        ctx.fillStyle = '#a0aec0';
+        if (timesteps.length < 2 || finite.length === 0) {
+            ctx.fillText('Compute over the trajectory to plot', 8, height / 2);
+            return;
+        }
+
+        const padding = { left: 44, right: 8, top: 8, bottom: 18 };
+        let min = finite.reduce((a, b) => Math.min(a, b));
+        let max = finite.reduce((a, b) => Math.max(a, b));
+        if (min === max) {
+            min -= 1;
+            max += 1;
+        }
+        const t0 = timesteps[0];
+        const t1 = timesteps[timesteps.length - 1];
+        const x = t => padding.left + (t1 === t0 ? 0 : (t - t0) / (t1 - t0)) * (width - padding.left - padding.right);
+        const y = v => height - padding.bottom - (v - min) / (max - min) * (height - padding.top - padding.bottom);
+
+        // Axes with the value range and the first and last timestep
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.2)';
+        ctx.beginPath();
+        ctx.moveTo(padding.left, padding.top);
+        ctx.lineTo(padding.left, height - padding.bottom);
+        ctx.lineTo(width - padding.right, height - padding.bottom);
+        ctx.stroke();
+
+        ctx.textAlign = 'right';
+        ctx.fillText(max.toPrecision(4), padding.left - 4, padding.top + 8);
+        ctx.fillText(min.toPrecision(4), padding.left - 4, height - padding.bottom);
+        ctx.textAlign = 'left';
+        ctx.fillText(String(t0), padding.left, height - 4);
+        ctx.textAlign = 'right';
+        ctx.fillText(String(t1), width - padding.right, height - 4);
+
+        ctx.strokeStyle = '#6366f1';
+        ctx.lineWidth = 1.5;
+        ctx.beginPath();
+        let drawing = false;
+        values.forEach((value, i) => {
+            if (!Number.isFinite(value)) {
+                drawing = false;
+                return;
+            }
+            if (drawing) {
+                ctx.lineTo(x(timesteps[i]), y(value));
+            } else {
+                ctx.moveTo(x(timesteps[i]), y(value));
+                drawing = true;
+            }
+        });
+        ctx.stroke();
+
+        const current = timesteps.indexOf(currentTimestep);
+        if (current >= 0 && Number.isFinite(values[current])) {
+            ctx.fillStyle = '#f59e0b';
+            ctx.beginPath();
+            ctx.arc(x(timesteps[current]), y(values[current]), 3, 0, 2 * Math.PI);
+            ctx.fill();
+        }
+    }
+}
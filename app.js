@@ -2,25 +2,54 @@
  * Main application controller
  */
 
-import { TopologyParser, ConfigurationParser, DataCombiner } from './parsers.js';
+import { DataCombiner } from './parsers.js';
 import { DNARenderer } from './renderer.js';
 import { InteractionManager } from './interactions.js';
 import { Exporter } from './exporter.js';
-import { PerformanceMonitor, FileUtils } from './utils.js';
+import { TrajectoryPlayer, InMemoryFrameSource, TrajectoryIndex } from './trajectory.js';
+import { Diagnostics } from './validation.js';
+import { FileLoader } from './loader.js';
+import { MeasurementManager } from './measurements.js';
+import { STRUCTURE_METRICS, StructureAnalysis, ClusterAnalysis, PatchBinding, TimeSeriesPlot } from './analysis.js';
+import { PerformanceMonitor, ColorScale, CategoryPalette, ColorMapper, FileUtils, VectorUtils, PBCUtils } from './utils.js';
 
 export class DNAVisualizerApp {
     constructor() {
         this.topologyData = null;
         this.configurationData = null;
+        // Source of trajectory frames (in memory, or indexed in the file for large trajectories)
+        this.frameSource = null;
+        this.firstFrame = null;
+        // Particles and bonds linked by the loader, before vectors are attached
+        this.linkedData = null;
         this.combinedData = null;
 
         this.renderer = null;
         this.interactionManager = null;
+        this.measurementManager = null;
         this.exporter = null;
         this.performanceMonitor = new PerformanceMonitor();
+        this.player = new TrajectoryPlayer();
 
-        this.topologyParser = new TopologyParser();
-        this.configurationParser = new ConfigurationParser();
+        // Structure metrics of the shown frame, and per-frame metrics once computed over the trajectory
+        this.structureMetrics = null; // Per-strand rows, computed while the analysis panel is open
+        this.systemMetrics = null;
+        this.structureSeries = null;
+        this.structureSeriesRun = 0; // Bumped when a new structure makes a running computation stale
+        this.structureSeriesRunning = false;
+        this.structureSeriesStopped = false;
+        this.analysisPlot = null;
+
+        // Last pointer position over the canvas, where the hover tooltip goes
+        this.hoverPointer = null;
+
+        this.fileLoader = new FileLoader();
+
+        // Diagnostics from validating the loaded files and linking them
+        this.topologyDiagnostics = null;
+        this.configurationDiagnostics = null;
+        this.linkDiagnostics = null;
+        this.diagnostics = new Diagnostics();
 
         this.ui = {
             canvas: null,
@@ -45,6 +74,7 @@ export class DNAVisualizerApp {
         // Initialize renderer
         this.renderer = new DNARenderer(this.ui.canvas);
         await this.renderer.init();
+        this.renderer.colorMapper.load();
 
         // Initialize interaction manager
         this.interactionManager = new InteractionManager(this.renderer);
@@ -55,6 +85,21 @@ export class DNAVisualizerApp {
             this.updateHoverInfo(particle);
         };
 
+        // The tooltip follows the pointer between (throttled) hover picks
+        this.ui.canvas.addEventListener('mousemove', (e) => {
+            this.hoverPointer = { x: e.clientX, y: e.clientY };
+            this.positionHoverTooltip();
+        });
+
+        // Measurements take over particle clicks while a measuring mode is active
+        this.measurementManager = new MeasurementManager(this.renderer, document.getElementById('measurementLabels'));
+        this.measurementManager.onChanged = () => this.updateMeasurementInfo();
+        this.interactionManager.onParticlePicked = (particle) => {
+            if (this.measurementManager.mode === 'none') return false;
+            this.measurementManager.addPick(particle.index);
+            return true;
+        };
+
         // Initialize exporter
         this.exporter = new Exporter(this.renderer);
 
@@ -63,6 +108,7 @@ export class DNAVisualizerApp {
 
         // Setup controls
         this.setupControls();
+        this.setupTimeline();
 
         // Start performance monitoring
         this.startPerformanceMonitoring();
@@ -104,32 +150,66 @@ export class DNAVisualizerApp {
         const fileInput = document.getElementById('fileInput');
         fileInput.addEventListener('change', async (e) => {
             const files = Array.from(e.target.files);
+            fileInput.value = '';
             await this.handleFiles(files);
         });
+
+        document.getElementById('cancelLoadBtn').addEventListener('click', () => {
+            this.fileLoader.cancel();
+        });
     }
 
     /**
-     * Handle dropped/selected files
+     * Handle dropped/selected files. Parsing runs in the loader worker with progress in the drop zone.
      */
     async handleFiles(files) {
-        for (const file of files) {
-            const ext = file.name.split('.').pop().toLowerCase();
-            const content = await FileUtils.readAsText(file);
+        this.setLoadProgress({ stage: 'read', file: files[0] ? files[0].name : null, fraction: 0 });
 
-            try {
-                if (ext === 'psp') {
-                    this.topologyData = this.topologyParser.parse(content);
-                    this.showMessage(`Loaded topology: ${file.name}`, 'success');
-                } else if (ext === 'dat') {
-                    this.configurationData = this.configurationParser.parse(content);
-                    this.showMessage(`Loaded configuration: ${file.name}`, 'success');
-                }
-            } catch (error) {
-                this.showMessage(`Error parsing ${file.name}: ${error.message}`, 'error');
-                console.error(error);
-            }
+        let result;
+        try {
+            result = await this.fileLoader.load(files, this.topologyData, progress => this.setLoadProgress(progress));
+        } catch (error) {
+            this.setLoadProgress(null);
+            this.showMessage(`Error loading files: ${error.message}`, 'error');
+            console.error(error);
+            return;
+        }
+
+        this.setLoadProgress(null);
+        if (!result) {
+            this.showMessage('Loading cancelled', 'info');
+            return;
+        }
+
+        result.errors.forEach(({ name, message }) => {
+            this.showMessage(`Error parsing ${name}: ${message}`, 'error');
+        });
+
+        if (result.topology) {
+            this.topologyData = result.topology;
+            this.topologyDiagnostics = result.topologyDiagnostics;
+        }
+        if (result.firstFrame) {
+            const frameSource = result.trajectoryIndex
+                ? TrajectoryIndex.fromData(result.trajectoryIndex)
+                : new InMemoryFrameSource(result.frames);
+            this.setTrajectory(frameSource, result.firstFrame);
+            this.configurationDiagnostics = result.configurationDiagnostics;
+        }
+        if (result.topology || result.firstFrame) {
+            this.linkedData = result.linkedData;
+            this.linkDiagnostics = result.linkDiagnostics;
         }
 
+        result.loaded.forEach(({ name, type, frameCount }) => {
+            if (type === 'psp') {
+                this.showMessage(`Loaded topology: ${name}`, 'success');
+            } else {
+                const frameInfo = frameCount > 1 ? ` (${frameCount} frames)` : '';
+                this.showMessage(`Loaded configuration: ${name}${frameInfo}`, 'success');
+            }
+        });
+
         // If we have both files, visualize
         if (this.topologyData && this.configurationData) {
             this.visualize();
@@ -137,23 +217,80 @@ export class DNAVisualizerApp {
     }
 
     /**
-     * Visualize the loaded data
+     * Show loading progress in the drop zone, or hide it when progress is null
      */
-    visualize() {
+    setLoadProgress(progress) {
+        const container = document.getElementById('loadProgress');
+        document.getElementById('dropZoneContent').style.display = progress ? 'none' : 'flex';
+        container.style.display = progress ? 'flex' : 'none';
+        if (!progress) return;
+
+        const stageLabels = { read: 'Reading', index: 'Indexing', parse: 'Parsing', link: 'Linking particles' };
+        const percent = Math.round(progress.fraction * 100);
+        document.getElementById('loadProgressFill').style.width = `${percent}%`;
+        document.getElementById('loadProgressLabel').textContent = progress.file
+            ? `${stageLabels[progress.stage]} ${progress.file}… ${percent}%`
+            : `${stageLabels[progress.stage]}…`;
+    }
+
+    /**
+     * Visualize the loaded data. Validation errors block loading unless forced.
+     */
+    visualize(force = false) {
+        this.diagnostics = new Diagnostics()
+            .merge(this.topologyDiagnostics)
+            .merge(this.configurationDiagnostics);
+
+        if (this.diagnostics.hasErrors() && !force) {
+            this.showDiagnostics(true);
+            this.showMessage(`Found ${this.diagnostics.getErrors().length} errors in the input files`, 'error');
+            return;
+        }
+
         try {
-            // Combine topology and configuration
-            this.combinedData = DataCombiner.combine(this.topologyData, this.configurationData);
+            // Link on the main thread when the topology and configuration arrived in separate loads
+            if (!this.linkedData) {
+                this.linkDiagnostics = new Diagnostics();
+                this.linkedData = DataCombiner.link(this.topologyData, this.firstFrame, this.linkDiagnostics);
+            }
+            this.diagnostics.merge(this.linkDiagnostics);
+
+            // Attach the first configuration of the trajectory
+            this.configurationData = this.firstFrame;
+            this.combinedData = DataCombiner.hydrate(this.linkedData, this.configurationData);
 
-            // Load into renderer
+            // Load into renderer; measurements refer to particles of the previous structure
+            this.measurementManager.clear();
+            this.interactionManager.cancelHover();
             this.renderer.loadData(this.combinedData);
 
             // Hide drop zone
             this.ui.dropZone.style.display = 'none';
 
+            // Metrics over the previous trajectory no longer apply
+            this.structureSeries = null;
+            this.structureSeriesRun++;
+            this.updateAnalysisStrandOptions();
+
             // Update info panel
+            this.updateStructureMetrics();
             this.updateInfoPanel();
+            this.renderClusterPanel();
+            this.renderBindingPanel();
+            this.updateLegends();
+            this.updateCenterTargetOptions();
+            this.renderStrandBrowser();
+
+            // Reset playback for the loaded trajectory
+            this.player.setFrameCount(this.frameSource.frameCount);
 
-            this.showMessage('DNA structure loaded successfully!', 'success');
+            this.hideDiagnostics();
+            const issueCount = this.diagnostics.entries.length;
+            if (issueCount > 0) {
+                this.showMessage(`DNA structure loaded with ${issueCount} issues (see File Diagnostics)`, 'warning');
+            } else {
+                this.showMessage('DNA structure loaded successfully!', 'success');
+            }
         } catch (error) {
             this.showMessage(`Error visualizing: ${error.message}`, 'error');
             console.error(error);
@@ -191,6 +328,87 @@ export class DNAVisualizerApp {
             this.interactionManager.clearSelection();
         });
 
+        // Measurements
+        document.getElementById('measureModeSelect').addEventListener('change', (e) => {
+            this.measurementManager.setMode(e.target.value);
+        });
+        document.getElementById('measureSelectionBtn').addEventListener('click', () => {
+            const selected = this.interactionManager.getSelectedParticles();
+            const kind = ['distance', 'angle', 'dihedral'].find(k => MeasurementManager.getParticleCount(k) === selected.length);
+            if (!kind) {
+                this.showMessage('Select 2, 3 or 4 particles to measure', 'warning');
+                return;
+            }
+            this.measurementManager.add(kind, selected);
+        });
+        document.getElementById('clearMeasurementsBtn').addEventListener('click', () => {
+            this.measurementManager.clear();
+        });
+        document.getElementById('measurementInfo').addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-measurement]');
+            if (button) {
+                this.measurementManager.remove(parseInt(button.dataset.measurement));
+            }
+        });
+
+        const regionModeSelect = document.getElementById('regionModeSelect');
+        if (regionModeSelect) {
+            regionModeSelect.addEventListener('change', (e) => {
+                this.interactionManager.regionMode = e.target.value;
+            });
+        }
+
+        // Query selection
+        const queryInput = document.getElementById('selectionQueryInput');
+        const runQuery = () => {
+            if (!queryInput.value.trim()) return;
+            try {
+                const count = this.interactionManager.selectByQuery(queryInput.value, this.interactionManager.multiSelectEnabled);
+                queryInput.classList.remove('invalid');
+                this.showMessage(`Selected ${count} particle${count === 1 ? '' : 's'}`, 'info');
+            } catch (error) {
+                queryInput.classList.add('invalid');
+                this.showMessage(error.message, 'error');
+            }
+        };
+        document.getElementById('selectionQueryBtn').addEventListener('click', runQuery);
+        queryInput.addEventListener('keydown', (e) => {
+            // Keep typed letters from reaching the x/y/z box-shift shortcuts
+            e.stopPropagation();
+            if (e.key === 'Enter') runQuery();
+        });
+        queryInput.addEventListener('input', () => queryInput.classList.remove('invalid'));
+
+        // Strand browser
+        const strandPanel = document.getElementById('strandPanel');
+        document.getElementById('strandBrowserBtn').addEventListener('click', () => {
+            const open = strandPanel.style.display !== 'none';
+            strandPanel.style.display = open ? 'none' : 'flex';
+            if (!open) this.renderStrandBrowser();
+        });
+        document.getElementById('closeStrandPanelBtn').addEventListener('click', () => {
+            strandPanel.style.display = 'none';
+        });
+        document.getElementById('showAllStrandsBtn').addEventListener('click', () => {
+            this.renderer.setHiddenStrands([]);
+            this.renderStrandBrowser();
+        });
+
+        const strandList = document.getElementById('strandList');
+        strandList.addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-action]');
+            const row = e.target.closest('.strand-row');
+            if (button && row) {
+                this.handleStrandAction(button.dataset.action, parseInt(row.dataset.strand));
+            }
+        });
+        strandList.addEventListener('change', (e) => {
+            const row = e.target.closest('.strand-row');
+            if (row && e.target.type === 'color') {
+                this.setPaletteColor('strand', row.dataset.strand, ColorMapper.fromHex(e.target.value));
+            }
+        });
+
         // Reset camera button
         document.getElementById('resetCameraBtn').addEventListener('click', () => {
             if (this.combinedData) {
@@ -240,6 +458,296 @@ export class DNAVisualizerApp {
             });
         }
 
+        const togglePatches = document.getElementById('togglePatches');
+        if (togglePatches) {
+            togglePatches.addEventListener('change', (e) => {
+                this.renderer.setPatchVisibility(e.target.checked);
+            });
+        }
+
+        const toggleImpostors = document.getElementById('toggleImpostors');
+        if (toggleImpostors) {
+            toggleImpostors.addEventListener('change', (e) => {
+                this.renderer.setImpostorMode(e.target.checked);
+            });
+        }
+
+        // Bond rendering
+        const particleModeSelect = document.getElementById('particleModeSelect');
+        if (particleModeSelect) {
+            particleModeSelect.addEventListener('change', (e) => {
+                this.renderer.setParticleRenderMode(e.target.value);
+            });
+        }
+
+        // Particle colors
+        const colorSchemeSelect = document.getElementById('colorSchemeSelect');
+        if (colorSchemeSelect) {
+            colorSchemeSelect.addEventListener('change', (e) => {
+                this.renderer.setColorScheme(e.target.value);
+                this.updatePaletteOptions();
+                this.updateLegends();
+            });
+        }
+
+        const colorPaletteSelect = document.getElementById('colorPaletteSelect');
+        if (colorPaletteSelect) {
+            colorPaletteSelect.addEventListener('change', (e) => {
+                this.renderer.setColorPalette(e.target.value);
+                this.updateLegends();
+            });
+            this.updatePaletteOptions();
+        }
+
+        // Palette editor
+        document.getElementById('editPaletteBtn').addEventListener('click', () => {
+            this.showPaletteEditor();
+        });
+        document.getElementById('closePaletteBtn').addEventListener('click', () => {
+            document.getElementById('palettePanel').style.display = 'none';
+        });
+
+        ['patchColorList', 'strandColorList'].forEach(id => {
+            const list = document.getElementById(id);
+            list.addEventListener('change', (e) => {
+                const row = e.target.closest('.palette-row');
+                if (row && e.target.type === 'color') {
+                    this.setPaletteColor(row.dataset.kind, row.dataset.key, ColorMapper.fromHex(e.target.value));
+                }
+            });
+            list.addEventListener('click', (e) => {
+                const row = e.target.closest('.palette-row');
+                if (row && e.target.tagName === 'BUTTON') {
+                    this.setPaletteColor(row.dataset.kind, row.dataset.key, null);
+                }
+            });
+        });
+
+        document.getElementById('addColorCodeBtn').addEventListener('click', () => {
+            const input = document.getElementById('newColorCodeInput');
+            const code = parseInt(input.value);
+            if (!Number.isFinite(code)) return;
+            this.setPaletteColor('patch', code, this.renderer.colorMapper.getColor(code));
+            input.value = '';
+        });
+
+        document.getElementById('exportPaletteBtn').addEventListener('click', () => {
+            const json = JSON.stringify(this.renderer.colorMapper.toJSON(), null, 2);
+            FileUtils.downloadFile(json, 'palette.json', 'application/json');
+        });
+
+        const paletteFileInput = document.getElementById('paletteFileInput');
+        document.getElementById('importPaletteBtn').addEventListener('click', () => {
+            paletteFileInput.click();
+        });
+        paletteFileInput.addEventListener('change', async (e) => {
+            const file = e.target.files[0];
+            e.target.value = '';
+            if (!file) return;
+
+            try {
+                this.renderer.colorMapper.fromJSON(JSON.parse(await FileUtils.readAsText(file)));
+                this.applyPaletteChange();
+                this.showMessage(`Imported palette ${file.name}`, 'success');
+            } catch (error) {
+                this.showMessage(`Could not import palette: ${error.message}`, 'error');
+            }
+        });
+
+        document.getElementById('resetPaletteBtn').addEventListener('click', () => {
+            this.renderer.colorMapper.resetColors();
+            this.applyPaletteChange();
+        });
+
+        // Structure analysis
+        const analysisPanel = document.getElementById('analysisPanel');
+        this.analysisPlot = new TimeSeriesPlot(document.getElementById('analysisPlot'));
+        document.getElementById('analysisBtn').addEventListener('click', () => {
+            const open = analysisPanel.style.display !== 'none';
+            analysisPanel.style.display = open ? 'none' : 'flex';
+            if (!open) this.renderAnalysisPanel();
+        });
+        document.getElementById('closeAnalysisPanelBtn').addEventListener('click', () => {
+            analysisPanel.style.display = 'none';
+        });
+        document.getElementById('analysisMetricSelect').innerHTML = Object.entries(STRUCTURE_METRICS)
+            .map(([metric, { title }]) => `<option value="${metric}">${title}</option>`)
+            .join('');
+        ['analysisMetricSelect', 'analysisStrandSelect'].forEach(id => {
+            document.getElementById(id).addEventListener('change', () => this.renderAnalysisPlot());
+        });
+        document.getElementById('computeTimeSeriesBtn').addEventListener('click', () => {
+            this.computeStructureTimeSeries();
+        });
+        document.getElementById('exportAnalysisBtn').addEventListener('click', () => {
+            if (!this.combinedData) return;
+            const frames = this.structureSeries || [{ timestep: this.combinedData.metadata.timestep, rows: this.getStructureMetrics() }];
+            FileUtils.downloadFile(StructureAnalysis.toCSV(frames), 'structure_analysis.csv', 'text/csv');
+        });
+
+        // Cluster analysis
+        const clusterPanel = document.getElementById('clusterPanel');
+        document.getElementById('clusterBtn').addEventListener('click', () => {
+            const open = clusterPanel.style.display !== 'none';
+            clusterPanel.style.display = open ? 'none' : 'flex';
+            if (!open) this.renderClusterPanel();
+        });
+        document.getElementById('closeClusterPanelBtn').addEventListener('click', () => {
+            clusterPanel.style.display = 'none';
+        });
+        document.getElementById('clusterCutoffInput').addEventListener('change', (e) => {
+            this.renderer.setClusterCutoff(parseFloat(e.target.value));
+            this.renderClusterPanel();
+            this.updateLegends();
+        });
+        document.getElementById('colorByClusterBtn').addEventListener('click', () => {
+            document.getElementById('colorSchemeSelect').value = 'cluster';
+            this.renderer.setColorScheme('cluster');
+            this.updatePaletteOptions();
+            this.updateLegends();
+        });
+        document.getElementById('selectClustersOfSelectionBtn').addEventListener('click', () => {
+            const clusters = this.renderer.getClusters();
+            if (!clusters) return;
+            const selected = new Set(this.interactionManager.getSelectedParticles().map(index => clusters.labels[index]));
+            const indices = [];
+            clusters.labels.forEach((label, index) => {
+                if (selected.has(label)) indices.push(index);
+            });
+            this.interactionManager.selectIndices(indices, true);
+        });
+        document.getElementById('clusterList').addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-action]');
+            const row = e.target.closest('.strand-row');
+            if (button && row) {
+                this.handleClusterAction(button.dataset.action, parseInt(row.dataset.cluster));
+            }
+        });
+
+        // Patch binding
+        document.getElementById('togglePatchBonds').addEventListener('change', (e) => {
+            this.renderer.setPatchBondVisibility(e.target.checked);
+        });
+        document.getElementById('patchCutoffInput').addEventListener('change', (e) => {
+            this.renderer.setPatchBindingCutoff(parseFloat(e.target.value));
+            this.renderBindingPanel();
+        });
+        const bindingPanel = document.getElementById('bindingPanel');
+        document.getElementById('bindingStatsBtn').addEventListener('click', () => {
+            const open = bindingPanel.style.display !== 'none';
+            bindingPanel.style.display = open ? 'none' : 'flex';
+            if (!open) this.renderBindingPanel();
+        });
+        document.getElementById('closeBindingPanelBtn').addEventListener('click', () => {
+            bindingPanel.style.display = 'none';
+        });
+
+        // Level of detail
+        document.getElementById('toggleLOD').addEventListener('change', (e) => {
+            this.renderer.setLODEnabled(e.target.checked);
+        });
+
+        const lodInputs = ['lodHighInput', 'lodMediumInput', 'lodLowInput'].map(id => document.getElementById(id));
+        lodInputs.forEach(input => {
+            input.addEventListener('change', () => {
+                const [high, medium, low] = lodInputs.map(el => Math.max(1, parseFloat(el.value) || 1));
+                this.renderer.setLODThresholds({ high, medium, low });
+
+                // Show the thresholds in the order they were applied
+                const { thresholds } = this.renderer.lodCalculator;
+                [thresholds.high, thresholds.medium, thresholds.low].forEach((value, i) => {
+                    lodInputs[i].value = value;
+                });
+            });
+        });
+
+        const bondModeSelect = document.getElementById('bondModeSelect');
+        if (bondModeSelect) {
+            bondModeSelect.addEventListener('change', (e) => {
+                this.renderer.setBondMode(e.target.value);
+            });
+        }
+
+        const bondColorSelect = document.getElementById('bondColorSelect');
+        if (bondColorSelect) {
+            bondColorSelect.addEventListener('change', (e) => {
+                this.renderer.setBondColorMode(e.target.value);
+                this.updateLegends();
+            });
+        }
+
+        // Periodic boundaries
+        const toggleSplitBonds = document.getElementById('toggleSplitBonds');
+        if (toggleSplitBonds) {
+            toggleSplitBonds.addEventListener('change', (e) => {
+                this.renderer.setSplitBondsAtBoundary(e.target.checked);
+            });
+        }
+
+        const toggleUnwrap = document.getElementById('toggleUnwrap');
+        if (toggleUnwrap) {
+            toggleUnwrap.addEventListener('change', (e) => {
+                this.renderer.setUnwrapStrands(e.target.checked);
+            });
+        }
+
+        const centerTargetSelect = document.getElementById('centerTargetSelect');
+        if (centerTargetSelect) {
+            centerTargetSelect.addEventListener('change', (e) => {
+                this.renderer.setCenterTarget(e.target.value);
+            });
+        }
+
+        // Orientation axes
+        ['a1', 'a2', 'a3'].forEach(axis => {
+            const checkbox = document.getElementById(`toggleAxis${axis.toUpperCase()}`);
+            if (checkbox) {
+                checkbox.addEventListener('change', (e) => {
+                    this.renderer.setAxisVisibility(axis, e.target.checked);
+                });
+            }
+        });
+
+        const axisScaleSlider = document.getElementById('axisScaleSlider');
+        const axisScaleValue = document.getElementById('axisScaleValue');
+        if (axisScaleSlider) {
+            axisScaleSlider.addEventListener('input', (e) => {
+                const scale = parseFloat(e.target.value);
+                axisScaleValue.textContent = `${scale.toFixed(1)}×`;
+                this.renderer.setAxisScale(scale);
+            });
+        }
+
+        // Vector field overlay
+        const vectorFieldSelect = document.getElementById('vectorFieldSelect');
+        if (vectorFieldSelect) {
+            vectorFieldSelect.addEventListener('change', (e) => {
+                this.renderer.setVectorField(e.target.value);
+                this.updateLegends();
+            });
+        }
+
+        const vectorScaleSlider = document.getElementById('vectorScaleSlider');
+        const vectorScaleValue = document.getElementById('vectorScaleValue');
+        if (vectorScaleSlider) {
+            vectorScaleSlider.addEventListener('input', (e) => {
+                const scale = parseFloat(e.target.value);
+                vectorScaleValue.textContent = `${scale.toFixed(1)}×`;
+                this.renderer.setVectorScale(scale);
+            });
+        }
+
+        // File diagnostics
+        document.getElementById('showDiagnosticsBtn').addEventListener('click', () => {
+            this.showDiagnostics(false);
+        });
+        document.getElementById('closeDiagnosticsBtn').addEventListener('click', () => {
+            this.hideDiagnostics();
+        });
+        document.getElementById('loadAnywayBtn').addEventListener('click', () => {
+            this.visualize(true);
+        });
+
         // Main Controls Toggle Button
         const toggleControlsBtn = document.getElementById('toggleControlsBtn');
         const controlsPanel = document.getElementById('controls');
@@ -251,6 +759,108 @@ export class DNAVisualizerApp {
         }
     }
 
+    /**
+     * Setup trajectory timeline controls
+     */
+    setupTimeline() {
+        const timeline = document.getElementById('timeline');
+        const slider = document.getElementById('timelineSlider');
+        const label = document.getElementById('timelineLabel');
+        const playBtn = document.getElementById('timelinePlayBtn');
+        const fpsInput = document.getElementById('timelineFps');
+        const loopCheckbox = document.getElementById('timelineLoop');
+
+        this.player.onFrameChanged = (frameIndex) => this.showFrame(frameIndex);
+        this.player.onStateChanged = (player) => {
+            timeline.style.display = player.frameCount > 1 ? 'flex' : 'none';
+            slider.max = Math.max(0, player.frameCount - 1);
+            slider.value = player.currentFrame;
+            playBtn.textContent = player.playing ? '⏸' : '▶';
+
+            const timestep = this.combinedData ? this.combinedData.metadata.timestep : 0;
+            label.textContent = `Frame ${player.currentFrame + 1} / ${player.frameCount} · t = ${timestep}`;
+        };
+
+        playBtn.addEventListener('click', () => this.player.togglePlay());
+        document.getElementById('timelinePrevBtn').addEventListener('click', () => this.player.step(-1));
+        document.getElementById('timelineNextBtn').addEventListener('click', () => this.player.step(1));
+        document.getElementById('timelineFirstBtn').addEventListener('click', () => {
+            this.player.pause();
+            this.player.seek(0);
+        });
+        document.getElementById('timelineLastBtn').addEventListener('click', () => {
+            this.player.pause();
+            this.player.seek(this.player.frameCount - 1);
+        });
+
+        // Scrubbing
+        slider.addEventListener('input', (e) => {
+            this.player.pause();
+            this.player.seek(parseInt(e.target.value));
+        });
+
+        fpsInput.addEventListener('change', (e) => {
+            this.player.setFPS(parseInt(e.target.value));
+            e.target.value = this.player.fps;
+        });
+
+        loopCheckbox.addEventListener('change', (e) => {
+            this.player.setLoop(e.target.checked);
+        });
+    }
+
+    /**
+     * Store the trajectory's frame source; the first frame becomes the active configuration
+     */
+    setTrajectory(frameSource, firstFrame) {
+        if (frameSource instanceof TrajectoryIndex) {
+            frameSource.addToCache(0, firstFrame);
+        }
+        this.frameSource = frameSource;
+        this.firstFrame = firstFrame;
+        this.configurationData = firstFrame;
+    }
+
+    /**
+     * Show a trajectory frame by updating particle positions in place
+     */
+    async showFrame(frameIndex) {
+        if (!this.frameSource || !this.combinedData) return;
+
+        let frame;
+        try {
+            frame = await this.frameSource.getFrame(frameIndex);
+        } catch (error) {
+            this.showMessage(`Error reading frame ${frameIndex}: ${error.message}`, 'error');
+            console.error(error);
+            return;
+        }
+        if (!frame) return;
+
+        // Read ahead so playback does not wait on the file
+        if (this.player.playing) {
+            this.frameSource.prefetch(frameIndex + 1);
+        }
+
+        this.configurationData = frame;
+        DataCombiner.applyFrame(this.combinedData, frame);
+        this.renderer.updateFrame();
+
+        this.updateStructureMetrics();
+        this.updateInfoPanel();
+        this.renderClusterPanel();
+        this.renderBindingPanel();
+        this.updateLegends();
+        this.renderStrandBrowser();
+        this.updateSelectionInfo(this.interactionManager.getSelectedParticles());
+        this.updateMeasurementInfo();
+
+        const hovered = this.interactionManager.hoveredParticle;
+        if (hovered !== null) {
+            this.updateHoverInfo(this.combinedData.particles[hovered]);
+        }
+    }
+
     /**
      * Load example files
      */
@@ -263,13 +873,12 @@ export class DNAVisualizerApp {
                 fetch('../Example/input.dat')
             ]);
 
-            const topologyContent = await topologyResponse.text();
-            const configContent = await configResponse.text();
-
-            this.topologyData = this.topologyParser.parse(topologyContent);
-            this.configurationData = this.configurationParser.parse(configContent);
+            const files = [
+                new File([await topologyResponse.blob()], 'input.psp'),
+                new File([await configResponse.blob()], 'input.dat')
+            ];
 
-            this.visualize();
+            await this.handleFiles(files);
         } catch (error) {
             this.showMessage('Failed to load example files. Please use drag and drop.', 'error');
             console.error(error);
@@ -293,6 +902,555 @@ export class DNAVisualizerApp {
                 ${this.combinedData.metadata.box.y.toFixed(1)} × 
                 ${this.combinedData.metadata.box.z.toFixed(1)}</p>
         `;
+
+        if (this.systemMetrics) {
+            const system = this.systemMetrics;
+            const com = system.centerOfMass;
+            info.innerHTML += `
+                <p><strong>Radius of gyration:</strong> ${system.radiusOfGyration.toFixed(2)}</p>
+                <p><strong>Contour length:</strong> ${system.contourLength.toFixed(2)}</p>
+                <p><strong>Center of mass:</strong> (${com.x.toFixed(2)}, ${com.y.toFixed(2)}, ${com.z.toFixed(2)})</p>
+            `;
+        }
+    }
+
+    /**
+     * Recompute the system metrics for the shown frame; per-strand rows are only
+     * recomputed when the analysis panel shows them
+     */
+    updateStructureMetrics() {
+        this.systemMetrics = StructureAnalysis.computeSystem(this.combinedData);
+        this.structureMetrics = null;
+        this.renderAnalysisPanel();
+    }
+
+    /**
+     * Per-strand and system metrics for the shown frame
+     */
+    getStructureMetrics() {
+        if (!this.structureMetrics) {
+            this.structureMetrics = StructureAnalysis.compute(this.combinedData);
+        }
+        return this.structureMetrics;
+    }
+
+    /**
+     * Offer every strand and the whole system for plotting, keeping the current choice when possible
+     */
+    updateAnalysisStrandOptions() {
+        const select = document.getElementById('analysisStrandSelect');
+        const strandIds = [...new Set(this.combinedData.particles.map(p => p.strand))].sort((a, b) => a - b);
+        const current = select.value;
+
+        select.innerHTML = `
+            <option value="all">Whole system</option>
+            ${strandIds.map(id => `<option value="${id}">Strand ${id}</option>`).join('')}
+        `;
+        select.value = [...select.options].some(option => option.value === current) ? current : 'all';
+    }
+
+    /**
+     * Fill the metrics table and plot when the analysis panel is open
+     */
+    renderAnalysisPanel() {
+        const panel = document.getElementById('analysisPanel');
+        if (panel.style.display === 'none' || !this.combinedData) return;
+
+        const maxRows = 500;
+        const number = value => Number.isFinite(value) ? value.toFixed(2) : '—';
+        const rows = this.getStructureMetrics();
+        const strandRows = rows.slice(0, -1).slice(0, maxRows);
+        const system = rows[rows.length - 1];
+
+        const row = (metrics, label, className = '') => {
+            const com = metrics.centerOfMass;
+            return `
+                <tr class="${className}">
+                    <td>${label}</td>
+                    <td>${metrics.count}</td>
+                    <td>${number(metrics.radiusOfGyration)}</td>
+                    <td>${number(metrics.endToEnd)}</td>
+                    <td>${number(metrics.contourLength)}</td>
+                    <td>${number(com.x)}, ${number(com.y)}, ${number(com.z)}</td>
+                </tr>
+            `;
+        };
+
+        document.getElementById('analysisTable').innerHTML = `
+            <thead>
+                <tr><th>Strand</th><th>N</th><th>Rg</th><th>End-to-end</th><th>Contour</th><th>Center of mass</th></tr>
+            </thead>
+            <tbody>
+                ${strandRows.map(metrics => row(metrics, metrics.strand)).join('')}
+                ${rows.length - 1 > maxRows ? `<tr><td colspan="6">… ${rows.length - 1 - maxRows} more strands (all in the CSV)</td></tr>` : ''}
+                ${row(system, 'All', 'system-row')}
+            </tbody>
+        `;
+
+        const button = document.getElementById('computeTimeSeriesBtn');
+        button.disabled = !this.frameSource || this.frameSource.frameCount < 2;
+
+        this.renderAnalysisPlot();
+    }
+
+    /**
+     * Plot the chosen metric of the chosen strand over the computed trajectory
+     */
+    renderAnalysisPlot() {
+        if (document.getElementById('analysisPanel').style.display === 'none') return;
+
+        const series = this.structureSeries || [];
+        const metric = document.getElementById('analysisMetricSelect').value;
+        const strand = document.getElementById('analysisStrandSelect').value;
+
+        const values = series.map(({ rows }) => {
+            const metrics = rows.find(row => String(row.strand) === strand);
+            return metrics ? metrics[metric] : NaN;
+        });
+
+        this.analysisPlot.draw(series.map(frame => frame.timestep), values, this.combinedData ? this.combinedData.metadata.timestep : null);
+    }
+
+    /**
+     * Fill the cluster panel when it is open: summary, size distribution and the clusters
+     * of more than one particle, largest first
+     */
+    renderClusterPanel() {
+        const panel = document.getElementById('clusterPanel');
+        if (panel.style.display === 'none' || !this.combinedData) return;
+
+        const clusters = this.renderer.getClusters();
+        const singles = clusters.sizes.filter(size => size === 1).length;
+        document.getElementById('clusterSummary').textContent =
+            `${clusters.count} clusters · largest ${clusters.sizes[0] || 0} particles · ${singles} single particles`;
+
+        const distribution = ClusterAnalysis.sizeDistribution(clusters.sizes);
+        document.getElementById('clusterSizeTable').innerHTML = `
+            <thead>
+                <tr><th>Size</th><th>Clusters</th><th>Particles</th></tr>
+            </thead>
+            <tbody>
+                ${distribution.map(([size, count]) => `<tr><td>${size}</td><td>${count}</td><td>${size * count}</td></tr>`).join('')}
+            </tbody>
+        `;
+
+        const maxRows = 100;
+        const multi = clusters.sizes.filter(size => size > 1);
+        const rows = multi.slice(0, maxRows).map((size, cluster) => `
+            <li class="strand-row" data-cluster="${cluster}">
+                <div class="strand-row-header">
+                    <strong>Cluster ${cluster}</strong>
+                    <span>${size} particles</span>
+                </div>
+                <div class="strand-actions">
+                    <button data-action="select" title="Select this cluster">Select</button>
+                    <button data-action="add" title="Add this cluster to the selection">Add</button>
+                    <button data-action="focus" title="Point the camera at this cluster">Focus</button>
+                </div>
+            </li>
+        `);
+        if (multi.length > maxRows) {
+            rows.push(`<li class="strand-row">… ${multi.length - maxRows} more clusters</li>`);
+        }
+        document.getElementById('clusterList').innerHTML = rows.join('');
+    }
+
+    /**
+     * Fill the patch binding panel when it is open: bound pairs and bound fraction per patch definition
+     */
+    renderBindingPanel() {
+        const panel = document.getElementById('bindingPanel');
+        if (panel.style.display === 'none' || !this.combinedData) return;
+
+        const bindings = this.renderer.getPatchBindings();
+        const statistics = PatchBinding.statistics(bindings);
+        const bound = statistics.reduce((sum, entry) => sum + entry.bound, 0);
+        const fraction = bindings.sites.length > 0 ? bound / bindings.sites.length : 0;
+
+        document.getElementById('bindingSummary').textContent =
+            `${bindings.pairs.length} bound pairs · ${bound} of ${bindings.sites.length} patches bound ` +
+            `(${(fraction * 100).toFixed(1)}%) within ${this.renderer.patchBindingCutoff}`;
+
+        document.getElementById('bindingTable').innerHTML = `
+            <thead>
+                <tr><th>Patch</th><th>Color</th><th>Strength</th><th>Bound</th><th>Total</th><th>Fraction</th></tr>
+            </thead>
+            <tbody>
+                ${statistics.map(entry => `
+                    <tr>
+                        <td>${entry.id}</td>
+                        <td>${entry.color}</td>
+                        <td>${entry.strength}</td>
+                        <td>${entry.bound}</td>
+                        <td>${entry.total}</td>
+                        <td>${(entry.fraction * 100).toFixed(1)}%</td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        `;
+    }
+
+    /**
+     * Apply a cluster panel action to one cluster
+     */
+    handleClusterAction(action, cluster) {
+        const clusters = this.renderer.getClusters();
+        const indices = ClusterAnalysis.members(clusters, cluster);
+
+        switch (action) {
+            case 'select':
+                this.interactionManager.selectIndices(indices, false);
+                break;
+            case 'add':
+                this.interactionManager.selectIndices(indices, true);
+                break;
+            case 'focus':
+                this.renderer.focusOnParticles(indices);
+                break;
+        }
+    }
+
+    /**
+     * Compute metrics for every trajectory frame; clicking again while running stops it
+     */
+    async computeStructureTimeSeries() {
+        const button = document.getElementById('computeTimeSeriesBtn');
+        if (this.structureSeriesRunning) {
+            this.structureSeriesStopped = true;
+            return;
+        }
+        if (!this.frameSource || !this.combinedData) return;
+
+        const run = this.structureSeriesRun;
+        this.structureSeriesRunning = true;
+        this.structureSeriesStopped = false;
+        try {
+            const frames = await StructureAnalysis.computeTimeSeries(this.combinedData, this.frameSource, (done, total) => {
+                button.textContent = `Stop (${done} / ${total})`;
+                return run === this.structureSeriesRun && !this.structureSeriesStopped;
+            });
+
+            // Frames computed before a stop are kept; those of a replaced structure are not
+            if (run === this.structureSeriesRun) {
+                this.structureSeries = frames;
+            }
+        } catch (error) {
+            this.showMessage(`Error analyzing trajectory: ${error.message}`, 'error');
+            console.error(error);
+        } finally {
+            this.structureSeriesRunning = false;
+            button.textContent = 'Compute over trajectory';
+        }
+
+        this.renderAnalysisPlot();
+    }
+
+    /**
+     * List the loaded strands as recentering targets, keeping the current choice when possible
+     */
+    updateCenterTargetOptions() {
+        const select = document.getElementById('centerTargetSelect');
+        if (!select) return;
+
+        const strandIds = [...new Set(this.combinedData.particles.map(p => p.strand))].sort((a, b) => a - b);
+        const current = select.value;
+
+        select.innerHTML = `
+            <option value="none">No recentering</option>
+            <option value="largest">Center on largest cluster</option>
+            ${strandIds.map(id => `<option value="strand:${id}">Center on strand ${id}</option>`).join('')}
+        `;
+
+        select.value = [...select.options].some(option => option.value === current) ? current : 'none';
+        this.renderer.setCenterTarget(select.value);
+    }
+
+    /**
+     * Show the diagnostics panel; when blocking, offer to load despite errors
+     */
+    showDiagnostics(blocking) {
+        const panel = document.getElementById('diagnosticsPanel');
+        const summary = document.getElementById('diagnosticsSummary');
+        const list = document.getElementById('diagnosticsList');
+        const entries = this.diagnostics.entries;
+
+        const errorCount = this.diagnostics.getErrors().length;
+        const warningCount = this.diagnostics.getWarnings().length;
+        summary.textContent = entries.length === 0
+            ? 'No problems found in the loaded files.'
+            : `${errorCount} errors, ${warningCount} warnings`;
+
+        const escape = text => String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+        list.innerHTML = entries.map(entry => {
+            const location = entry.file
+                ? `${escape(entry.file)}${entry.line ? `:${entry.line}` : ''}`
+                : (entry.line ? `line ${entry.line}` : '');
+            return `
+                <li class="diagnostic ${entry.severity}">
+                    <span class="diagnostic-icon">${entry.severity === 'error' ? '⛔' : '⚠️'}</span>
+                    <span class="diagnostic-location">${location}</span>
+                    <span class="diagnostic-message">${escape(entry.message)}</span>
+                </li>
+            `;
+        }).join('');
+
+        document.getElementById('loadAnywayBtn').style.display = blocking ? 'flex' : 'none';
+        panel.style.display = 'flex';
+    }
+
+    /**
+     * Hide the diagnostics panel
+     */
+    hideDiagnostics() {
+        document.getElementById('diagnosticsPanel').style.display = 'none';
+    }
+
+    /**
+     * Open the palette editor
+     */
+    showPaletteEditor() {
+        this.renderPaletteEditor();
+        document.getElementById('palettePanel').style.display = 'flex';
+    }
+
+    /**
+     * Fill the palette editor with the color codes and strands of the loaded data plus any saved overrides
+     */
+    renderPaletteEditor() {
+        const mapper = this.renderer.colorMapper;
+        const particles = this.combinedData ? this.combinedData.particles : [];
+        const maxStrandRows = 200;
+
+        const codes = new Set(Object.keys(mapper.customColors));
+        particles.forEach(particle => {
+            particle.patches.forEach(patch => codes.add(patch.color.toString()));
+        });
+
+        // Strands in order of first appearance, with the colors the strand scheme gives them
+        const defaultStrandColors = new Map([...this.renderer.getStrandColors()].map(([strand, color]) => [strand.toString(), color]));
+        const strands = [...defaultStrandColors.keys()];
+        Object.keys(mapper.strandColors).forEach(strand => {
+            if (!defaultStrandColors.has(strand)) strands.push(strand);
+        });
+
+        const row = (kind, key, label, color, custom) => `
+            <li class="palette-row" data-kind="${kind}" data-key="${key}">
+                <span>${label}</span>
+                <input type="color" value="${ColorMapper.toHex(color)}">
+                ${custom ? '<button class="icon-btn" title="Restore default">↺</button>' : ''}
+            </li>
+        `;
+
+        document.getElementById('patchColorList').innerHTML = [...codes]
+            .sort((a, b) => a - b)
+            .map(code => row('patch', code, `Code ${code}`, mapper.getColor(code), code in mapper.customColors))
+            .join('') || '<li class="palette-row">No patches loaded</li>';
+
+        const strandRows = strands.slice(0, maxStrandRows).map(strand => {
+            const color = mapper.getStrandColor(strand) || defaultStrandColors.get(strand) || mapper.getColor(100);
+            return row('strand', strand, `Strand ${strand}`, color, strand in mapper.strandColors);
+        });
+        if (strands.length > maxStrandRows) {
+            strandRows.push(`<li class="palette-row">…and ${strands.length - maxStrandRows} more strands</li>`);
+        }
+        document.getElementById('strandColorList').innerHTML = strandRows.join('') || '<li class="palette-row">No strands loaded</li>';
+    }
+
+    /**
+     * Assign (or with color = null, clear) a patch code or strand color
+     */
+    setPaletteColor(kind, key, color) {
+        const mapper = this.renderer.colorMapper;
+        if (kind === 'patch') {
+            mapper.setColor(key, color);
+        } else {
+            mapper.setStrandColor(key, color);
+        }
+        this.applyPaletteChange();
+    }
+
+    /**
+     * Persist the palette and redraw everything that uses it
+     */
+    applyPaletteChange() {
+        this.renderer.colorMapper.save();
+        this.renderer.refreshColors();
+        this.updateLegends();
+        this.renderPaletteEditor();
+        this.renderStrandBrowser();
+    }
+
+    /**
+     * Per-strand summaries in order of first appearance: particle indices, length,
+     * type composition and center of mass of the displayed positions
+     */
+    getStrandSummaries() {
+        const strands = new Map();
+
+        this.combinedData.particles.forEach(particle => {
+            let strand = strands.get(particle.strand);
+            if (!strand) {
+                strand = { id: particle.strand, indices: [], types: new Map() };
+                strands.set(particle.strand, strand);
+            }
+            strand.indices.push(particle.index);
+            strand.types.set(particle.type, (strand.types.get(particle.type) || 0) + 1);
+        });
+
+        const particles = this.combinedData.particles;
+        return [...strands.values()].map(strand => ({
+            ...strand,
+            length: strand.indices.length,
+            centerOfMass: VectorUtils.calculateCenterOfMass(
+                strand.indices.map(index => this.renderer.displayPositions[index]),
+                strand.indices.map(index => particles[index].mass)
+            )
+        }));
+    }
+
+    /**
+     * Fill the strand browser when it is open
+     */
+    renderStrandBrowser() {
+        const panel = document.getElementById('strandPanel');
+        const list = document.getElementById('strandList');
+        if (panel.style.display === 'none') return;
+
+        if (!this.combinedData) {
+            list.innerHTML = '<li class="strand-row">Load files to browse strands</li>';
+            return;
+        }
+
+        const maxRows = 500;
+        const strandColors = this.renderer.getStrandColors();
+        const summaries = this.getStrandSummaries();
+
+        const rows = summaries.slice(0, maxRows).map(strand => {
+            const hidden = this.renderer.hiddenStrands.has(strand.id);
+            const color = strandColors.get(strand.id);
+            const types = [...strand.types].map(([type, count]) => `${type}×${count}`).join(' ');
+            const com = strand.centerOfMass;
+
+            return `
+                <li class="strand-row${hidden ? ' hidden-strand' : ''}" data-strand="${strand.id}">
+                    <div class="strand-row-header">
+                        <input type="color" value="${ColorMapper.toHex(color)}" title="Strand color">
+                        <strong>Strand ${strand.id}</strong>
+                        <span>${strand.length} particles</span>
+                    </div>
+                    <div class="strand-details">types ${types}</div>
+                    <div class="strand-details">COM (${com.x.toFixed(2)}, ${com.y.toFixed(2)}, ${com.z.toFixed(2)})</div>
+                    <div class="strand-actions">
+                        <button data-action="select">Select</button>
+                        <button data-action="isolate">Isolate</button>
+                        <button data-action="toggle">${hidden ? 'Show' : 'Hide'}</button>
+                        <button data-action="focus">Focus</button>
+                    </div>
+                </li>
+            `;
+        });
+        if (summaries.length > maxRows) {
+            rows.push(`<li class="strand-row">…and ${summaries.length - maxRows} more strands</li>`);
+        }
+
+        list.innerHTML = rows.join('');
+    }
+
+    /**
+     * Run a strand browser action ('select', 'isolate', 'toggle' or 'focus') on a strand
+     */
+    handleStrandAction(action, strandId) {
+        const hidden = this.renderer.hiddenStrands;
+        const strandIds = [...new Set(this.combinedData.particles.map(p => p.strand))];
+
+        switch (action) {
+            case 'select':
+                this.interactionManager.selectByStrand(strandId);
+                break;
+            case 'isolate':
+                this.renderer.setHiddenStrands(strandIds.filter(id => id !== strandId));
+                break;
+            case 'toggle':
+                this.renderer.setHiddenStrands(hidden.has(strandId)
+                    ? [...hidden].filter(id => id !== strandId)
+                    : [...hidden, strandId]);
+                break;
+            case 'focus':
+                this.renderer.focusOnParticles(
+                    this.combinedData.particles.filter(p => p.strand === strandId).map(p => p.index)
+                );
+                break;
+        }
+
+        this.renderStrandBrowser();
+    }
+
+    /**
+     * List the palettes matching the active color scheme (categorical or continuous)
+     */
+    updatePaletteOptions() {
+        const select = document.getElementById('colorPaletteSelect');
+        const discrete = this.renderer.getColorSchemeType() === 'discrete';
+        const names = discrete ? CategoryPalette.getPaletteNames() : ColorScale.getPaletteNames();
+        const current = discrete ? this.renderer.categoryPalette.palette : this.renderer.particleColorScale.palette;
+
+        select.innerHTML = names.map(name => `<option value="${name}">${name}</option>`).join('');
+        select.value = current;
+    }
+
+    /**
+     * Refresh color legends for the active overlays
+     */
+    updateLegends() {
+        this.setLegend('particles', this.renderer.getParticleColorLegend());
+        this.setLegend('vectorField', this.renderer.getVectorFieldLegend());
+        this.setLegend('bonds', this.renderer.getBondLegend());
+    }
+
+    /**
+     * Show, update or remove (legend = null) a color legend
+     */
+    setLegend(key, legend) {
+        const panel = document.getElementById('legendPanel');
+        let entry = panel.querySelector(`[data-legend="${key}"]`);
+
+        if (!legend) {
+            if (entry) entry.remove();
+        } else {
+            if (!entry) {
+                entry = document.createElement('div');
+                entry.className = 'legend';
+                entry.dataset.legend = key;
+                panel.appendChild(entry);
+            }
+
+            if (legend.entries) {
+                // Discrete legend: one swatch per category
+                const toCSS = ({ r, g, b }) => `rgb(${Math.round(r * 255)}, ${Math.round(g * 255)}, ${Math.round(b * 255)})`;
+                entry.innerHTML = `
+                    <div class="legend-title">${legend.title}</div>
+                    <div class="legend-entries">
+                        ${legend.entries.map(item => `
+                            <span class="legend-entry">
+                                <span class="legend-swatch" style="background: ${toCSS(item.color)}"></span>${item.label}
+                            </span>
+                        `).join('')}
+                        ${legend.more ? `<span class="legend-entry">+${legend.more} more</span>` : ''}
+                    </div>
+                `;
+            } else {
+                entry.innerHTML = `
+                    <div class="legend-title">${legend.title}</div>
+                    <div class="legend-bar" style="background: ${legend.colorScale.toCSSGradient()}"></div>
+                    <div class="legend-range">
+                        <span>${legend.min.toPrecision(3)}</span>
+                        <span>${legend.max.toPrecision(3)}</span>
+                    </div>
+                `;
+            }
+        }
+
+        panel.style.display = panel.children.length > 0 ? 'flex' : 'none';
     }
 
     /**
@@ -328,18 +1486,115 @@ export class DNAVisualizerApp {
         selectionInfo.innerHTML = html;
     }
 
+    /**
+     * List measurements with their current values, and the picks still needed for the next one
+     */
+    updateMeasurementInfo() {
+        const manager = this.measurementManager;
+        const measurementInfo = document.getElementById('measurementInfo');
+        let html = '';
+
+        if (manager.mode !== 'none') {
+            const remaining = MeasurementManager.getParticleCount(manager.mode) - manager.pending.length;
+            html += `<p class="hint">Click ${remaining} more particle${remaining === 1 ? '' : 's'} for the ${manager.mode}</p>`;
+        }
+
+        if (manager.measurements.length > 0) {
+            html += `<h3>Measurements (${manager.measurements.length})</h3>`;
+            manager.measurements.forEach(measurement => {
+                html += `
+                    <div class="measurement-row ${measurement.kind}">
+                        <span>${manager.getLabel(measurement)} ${measurement.indices.join('–')}</span>
+                        <strong>${manager.formatValue(measurement)}</strong>
+                        <button data-measurement="${measurement.id}" title="Remove">✖</button>
+                    </div>
+                `;
+            });
+        }
+
+        measurementInfo.innerHTML = html;
+    }
+
     /**
      * Update hover info
      */
     updateHoverInfo(particle) {
-        // Could show tooltip or update UI
+        const tooltip = document.getElementById('hoverTooltip');
+
         if (particle) {
             this.ui.canvas.style.cursor = 'pointer';
+            tooltip.innerHTML = this.describeParticle(particle);
+            tooltip.style.display = 'block';
+
+            // The pick resolves after the pointer moved, and new content may change the size
+            this.positionHoverTooltip();
         } else {
             this.ui.canvas.style.cursor = 'default';
+            tooltip.style.display = 'none';
         }
     }
 
+    /**
+     * Place the hover tooltip next to the last pointer position, flipping it to stay inside the window
+     */
+    positionHoverTooltip() {
+        const tooltip = document.getElementById('hoverTooltip');
+        if (tooltip.style.display === 'none' || !this.hoverPointer) return;
+
+        const { x: clientX, y: clientY } = this.hoverPointer;
+        const offset = 16;
+        const width = tooltip.offsetWidth;
+        const height = tooltip.offsetHeight;
+        const left = clientX + offset + width > window.innerWidth ? clientX - offset - width : clientX + offset;
+        const top = clientY + offset + height > window.innerHeight ? clientY - offset - height : clientY + offset;
+
+        tooltip.style.left = `${Math.max(0, left)}px`;
+        tooltip.style.top = `${Math.max(0, top)}px`;
+    }
+
+    /**
+     * Tooltip content: topology, patches, bonded neighbors and the current frame's vectors
+     */
+    describeParticle(particle) {
+        const vector = v => `(${v.x.toFixed(2)}, ${v.y.toFixed(2)}, ${v.z.toFixed(2)})`;
+        const data = this.combinedData;
+        const box = data.metadata.box;
+
+        let html = `
+            <h4>Particle ${particle.index}</h4>
+            <p><strong>Strand</strong> ${particle.strand} · <strong>Type</strong> ${particle.type}</p>
+            <p><strong>Radius</strong> ${particle.radius} · <strong>Mass</strong> ${particle.mass}</p>
+        `;
+
+        if (particle.patches.length > 0) {
+            const patches = particle.patches.map(patch => `${patch.color} (${patch.strength})`).join(', ');
+            html += `<p><strong>Patches</strong> color (strength): ${patches}</p>`;
+        }
+
+        // Bonded neighbors from the CSR adjacency, with the current (minimum-image) distance
+        const { offsets, neighbors, bondIndices } = data.adjacency;
+        const bonded = [];
+        for (let k = offsets[particle.index]; k < offsets[particle.index + 1]; k++) {
+            const other = data.particles[neighbors[k]];
+            const spring = data.bonds[bondIndices[k]].spring;
+            const distance = PBCUtils.hasBox(box)
+                ? PBCUtils.minimumImageDistance(particle.position, other.position, box)
+                : BABYLON.Vector3.Distance(particle.position, other.position);
+            const springText = spring ? `k ${spring.stiffness}, r0 ${spring.restLength}, ` : '';
+            bonded.push(`<li>${other.index}: ${springText}r ${distance.toFixed(2)}</li>`);
+        }
+        if (bonded.length > 0) {
+            html += `<p><strong>Bonded to</strong></p><ul>${bonded.join('')}</ul>`;
+        }
+
+        html += `
+            <p><strong>Position</strong> ${vector(particle.position)}</p>
+            <p><strong>Velocity</strong> ${vector(particle.velocity)}</p>
+            <p><strong>a1</strong> ${vector(particle.baseVector)} · <strong>a3</strong> ${vector(particle.normalVector)}</p>
+        `;
+        return html;
+    }
+
     /**
      * Start performance monitoring
      */
@@ -350,6 +1605,17 @@ export class DNAVisualizerApp {
 
             let statsHTML = `<strong>FPS:</strong> ${fps}`;
 
+            if (this.renderer.data) {
+                const modeLabels = { instances: 'instances', thin: 'thin instances', impostors: 'impostors' };
+                const mode = modeLabels[this.renderer.activeParticleMode];
+                statsHTML += ` | <strong>Particles:</strong> ${this.renderer.data.particles.length} (${mode})`;
+
+                const lod = this.renderer.getLODCounts();
+                if (lod) {
+                    statsHTML += ` | <strong>LOD</strong> high ${lod.high} · med ${lod.medium} · low ${lod.low} · points ${lod.points}`;
+                }
+            }
+
             if (memory) {
                 statsHTML += ` | <strong>Memory:</strong> ${memory.used}MB / ${memory.total}MB`;
             }
@@ -0,0 +1,194 @@
+/**
+ * Ray-cast sphere impostors: every particle is a camera-facing quad whose fragments
+ * intersect the view ray with the sphere, shading it and writing its true depth
+ */
+
+BABYLON.Effect.ShadersStore['sphereImpostorVertexShader'] = `
+precision highp float;
+
+attribute vec3 position;
+attribute vec4 impostorColor;
+#include<instancesDeclaration>
+
+uniform mat4 view;
+uniform mat4 projection;
+uniform vec3 lightDirection;
+
+varying vec3 vPositionView;
+varying vec3 vCenterView;
+varying float vRadius;
+varying vec4 vColor;
+varying vec3 vLightView;
+varying vec3 vUpView;
+
+void main(void) {
+#include<instancesVertex>
+    // Instance matrices scale a unit-diameter sphere by the particle radius
+    vec3 center = finalWorld[3].xyz;
+    float radius = 0.5 * length(finalWorld[0].xyz);
+
+    vec4 centerView = view * vec4(center, 1.0);
+    float distance = length(centerView.xyz);
+
+    // Grow the quad so it covers the perspective silhouette of the sphere
+    float grow = 1.1 / sqrt(max(1.0 - (radius * radius) / (distance * distance), 0.01));
+    vPositionView = centerView.xyz + vec3(position.xy * radius * grow, 0.0);
+
+    vCenterView = centerView.xyz;
+    vRadius = radius;
+    vColor = impostorColor;
+    vLightView = normalize((view * vec4(-lightDirection, 0.0)).xyz);
+    vUpView = normalize((view * vec4(0.0, 1.0, 0.0, 0.0)).xyz);
+
+    gl_Position = projection * vec4(vPositionView, 1.0);
+}
+`;
+
+BABYLON.Effect.ShadersStore['sphereImpostorFragmentShader'] = `
+#extension GL_EXT_frag_depth : enable
+precision highp float;
+
+uniform mat4 projection;
+
+varying vec3 vPositionView;
+varying vec3 vCenterView;
+varying float vRadius;
+varying vec4 vColor;
+varying vec3 vLightView;
+varying vec3 vUpView;
+
+void main(void) {
+    // The camera sits at the origin of view space
+    vec3 rayDirection = normalize(vPositionView);
+    float b = dot(rayDirection, vCenterView);
+    float c = dot(vCenterView, vCenterView) - vRadius * vRadius;
+    float discriminant = b * b - c;
+    if (discriminant < 0.0) {
+        discard;
+    }
+
+    vec3 hit = rayDirection * (b - sqrt(discriminant));
+    vec3 normal = normalize(hit - vCenterView);
+
+    // Hemispheric ambient plus one directional light with a small specular highlight
+    float hemi = 0.6 * (0.5 + 0.5 * dot(normal, vUpView));
+    float diffuse = 0.8 * max(dot(normal, vLightView), 0.0);
+    vec3 halfVector = normalize(vLightView - rayDirection);
+    float specular = 0.25 * pow(max(dot(normal, halfVector), 0.0), 32.0);
+
+    gl_FragColor = vec4(vColor.rgb * (hemi + diffuse) + specular, 1.0);
+
+    vec4 clip = projection * vec4(hit, 1.0);
+    gl_FragDepthEXT = 0.5 * (clip.z / clip.w) + 0.5;
+}
+`;
+
+/**
+ * Sphere impostors drawn as thin instances of a single quad
+ */
+export class SphereImpostors {
+    constructor(scene) {
+        this.scene = scene;
+        this.mesh = null;
+        this.material = null;
+        this.matrices = null;
+        this.colors = null;
+    }
+
+    /**
+     * Build impostors from per-particle matrices (16 floats, unit-diameter sphere scaled by radius)
+     * and colors (4 floats). Both arrays are used directly, so later writes show after update().
+     */
+    build(matrices, colors, lightDirection) {
+        this.dispose();
+        this.matrices = matrices;
+        this.colors = colors;
+
+        // Quad with corners at (±1, ±1); the vertex shader turns it toward the camera
+        this.mesh = new BABYLON.Mesh('sphereImpostors', this.scene);
+        const vertexData = new BABYLON.VertexData();
+        vertexData.positions = [-1, -1, 0, 1, -1, 0, 1, 1, 0, -1, 1, 0];
+        vertexData.indices = [0, 1, 2, 0, 2, 3];
+        vertexData.applyToMesh(this.mesh);
+
+        this.material = new BABYLON.ShaderMaterial('sphereImpostorMat', this.scene, 'sphereImpostor', {
+            attributes: ['position', 'impostorColor'],
+            uniforms: ['world', 'view', 'projection', 'lightDirection']
+        });
+        this.material.backFaceCulling = false;
+        this.material.setVector3('lightDirection', lightDirection);
+        this.mesh.material = this.material;
+
+        this.mesh.thinInstanceSetBuffer('matrix', matrices, 16, false);
+        this.mesh.thinInstanceSetBuffer('impostorColor', colors, 4, false);
+
+        // The quads are expanded in the shader, so the mesh bounds are meaningless for culling and picking
+        this.mesh.alwaysSelectAsActiveMesh = true;
+        this.mesh.isPickable = false;
+    }
+
+    /**
+     * Upload matrices after particle positions were written into them
+     */
+    update() {
+        if (this.mesh) {
+            this.mesh.thinInstanceBufferUpdated('matrix');
+        }
+    }
+
+    /**
+     * Upload colors after they were written into the color array
+     */
+    updateColors() {
+        if (this.mesh) {
+            this.mesh.thinInstanceBufferUpdated('impostorColor');
+        }
+    }
+
+    /**
+     * Index of the nearest sphere hit by a ray, or -1. Spheres are exact, so picking is analytic.
+     */
+    pick(ray) {
+        if (!this.matrices) return -1;
+
+        const { origin, direction } = ray;
+        const matrices = this.matrices;
+        let nearest = -1;
+        let nearestDistance = Infinity;
+
+        for (let i = 0; i < matrices.length / 16; i++) {
+            const m = i * 16;
+            const radius = 0.5 * matrices[m];
+            if (radius <= 0) continue; // Hidden
+            const ox = origin.x - matrices[m + 12];
+            const oy = origin.y - matrices[m + 13];
+            const oz = origin.z - matrices[m + 14];
+
+            const b = ox * direction.x + oy * direction.y + oz * direction.z;
+            const c = ox * ox + oy * oy + oz * oz - radius * radius;
+            const discriminant = b * b - c;
+            if (discriminant < 0) continue;
+
+            const t = -b - Math.sqrt(discriminant);
+            if (t > 0 && t < nearestDistance) {
+                nearestDistance = t;
+                nearest = i;
+            }
+        }
+
+        return nearest;
+    }
+
+    /**
+     * Dispose the quad mesh and its shader material
+     */
+    dispose() {
+        if (this.mesh) {
+            this.mesh.dispose(false, true);
+            this.mesh = null;
+            this.material = null;
+        }
+        this.matrices = null;
+        this.colors = null;
+    }
+}
@@ -2,15 +2,51 @@
  * Interaction manager for DNA visualization
  */
 
+import { SelectionQuery } from './selection.js';
+
+// A Shift+drag shorter than this many pixels is treated as a click
+const MIN_DRAG_DISTANCE = 4;
+
+// Minimum time between hover picks, in milliseconds
+const HOVER_PICK_INTERVAL = 50;
+
+/**
+ * Even-odd test of a point against a polygon given as [x, y] pairs
+ */
+function pointInPolygon(x, y, polygon) {
+    let inside = false;
+    for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+        const [xi, yi] = polygon[i];
+        const [xj, yj] = polygon[j];
+        if ((yi > y) !== (yj > y) && x < (xj - xi) * (y - yi) / (yj - yi) + xi) {
+            inside = !inside;
+        }
+    }
+    return inside;
+}
+
 export class InteractionManager {
     constructor(renderer) {
         this.renderer = renderer;
         this.selectedParticles = new Set();
         this.hoveredParticle = null;
+
+        // Hover picking runs one pick at a time, at most every HOVER_PICK_INTERVAL
+        this.hoverPoint = null; // Latest pointer position still waiting for a pick
+        this.hoverTimer = null;
+        this.hoverPicking = false;
+        this.lastHoverPick = 0;
+        this.hoverGeneration = 0; // Bumped when hovering stops, so picks in flight are dropped
         this.multiSelectEnabled = false;
 
+        // Shift+drag region selection: 'box' or freeform 'lasso'
+        this.regionMode = 'box';
+        this.region = null;
+        this.suppressNextClick = false;
+
         this.onSelectionChanged = null;
         this.onHoverChanged = null;
+        this.onParticlePicked = null; // Returns true when it consumed the click (e.g. measuring)
 
         this.setupEventListeners();
     }
@@ -26,6 +62,17 @@ export class InteractionManager {
             this.handleClick(event);
         });
 
+        // Shift+drag for box or lasso selection (Shift+Alt+drag removes)
+        canvas.addEventListener('pointerdown', (event) => {
+            this.handleRegionStart(event);
+        });
+        window.addEventListener('pointermove', (event) => {
+            this.handleRegionMove(event);
+        });
+        window.addEventListener('pointerup', (event) => {
+            this.handleRegionEnd(event);
+        });
+
         // Load example files button
         document.getElementById('loadExampleBtn').addEventListener('click', async () => {
             await this.loadExampleFiles();
@@ -45,6 +92,9 @@ export class InteractionManager {
         canvas.addEventListener('mousemove', (event) => {
             this.handleMouseMove(event);
         });
+        canvas.addEventListener('mouseleave', () => {
+            this.cancelHover();
+        });
 
         // Keyboard for multi-select
         window.addEventListener('keydown', (event) => {
@@ -90,12 +140,22 @@ export class InteractionManager {
     /**
      * Handle click event
      */
-    handleClick(event) {
+    async handleClick(event) {
+        // The click that ends a region drag must not replace the region selection
+        if (this.suppressNextClick) {
+            this.suppressNextClick = false;
+            return;
+        }
+
         const rect = this.renderer.canvas.getBoundingClientRect();
         const x = event.clientX - rect.left;
         const y = event.clientY - rect.top;
 
-        const particle = this.renderer.pickParticle(x, y);
+        const particle = await this.pickParticleAt(x, y);
+
+        if (particle && this.onParticlePicked && this.onParticlePicked(particle)) {
+            return;
+        }
 
         if (particle) {
             if (this.multiSelectEnabled) {
@@ -118,30 +178,199 @@ export class InteractionManager {
     }
 
     /**
-     * Handle mouse move event
+     * Handle mouse move event: remember the position and schedule a throttled hover pick
      */
     handleMouseMove(event) {
+        // No hover while dragging the camera or a region
+        if (event.buttons !== 0 || this.region) {
+            this.cancelHover();
+            return;
+        }
+
         const rect = this.renderer.canvas.getBoundingClientRect();
-        const x = event.clientX - rect.left;
-        const y = event.clientY - rect.top;
+        this.hoverPoint = { x: event.clientX - rect.left, y: event.clientY - rect.top };
+        this.scheduleHoverPick();
+    }
 
-        const particle = this.renderer.pickParticle(x, y);
+    /**
+     * Pick at the latest pointer position once the interval has passed and no pick is running
+     */
+    scheduleHoverPick() {
+        if (this.hoverTimer !== null || this.hoverPicking || !this.hoverPoint) return;
+
+        const delay = Math.max(0, this.lastHoverPick + HOVER_PICK_INTERVAL - performance.now());
+        this.hoverTimer = setTimeout(() => {
+            this.hoverTimer = null;
+            this.pickHover();
+        }, delay);
+    }
 
-        if (particle && particle.index !== this.hoveredParticle) {
-            this.hoveredParticle = particle.index;
+    /**
+     * Pick the particle under the latest pointer position and update the hover state
+     */
+    async pickHover() {
+        const point = this.hoverPoint;
+        if (!point) return;
+        this.hoverPoint = null;
+
+        const generation = this.hoverGeneration;
+        this.hoverPicking = true;
+        this.lastHoverPick = performance.now();
+        const particle = await this.pickParticleAt(point.x, point.y, true);
+        this.hoverPicking = false;
+
+        // Results of a pick started before hovering stopped are stale
+        if (generation === this.hoverGeneration) {
+            this.setHoveredParticle(particle);
+        }
 
-            if (this.onHoverChanged) {
-                this.onHoverChanged(particle);
-            }
-        } else if (!particle && this.hoveredParticle !== null) {
-            this.hoveredParticle = null;
+        // The pointer moved while picking
+        this.scheduleHoverPick();
+    }
 
-            if (this.onHoverChanged) {
-                this.onHoverChanged(null);
-            }
+    /**
+     * Pick the particle at canvas coordinates; a failed pick counts as no particle.
+     * Hover picks pass skipIfBusy so they never queue behind a running pick.
+     */
+    async pickParticleAt(x, y, skipIfBusy = false) {
+        try {
+            return await this.renderer.pickParticle(x, y, skipIfBusy);
+        } catch (error) {
+            console.warn('Particle picking failed:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Stop hovering: drop pending and running picks and clear the hovered particle
+     */
+    cancelHover() {
+        this.hoverPoint = null;
+        this.hoverGeneration++;
+        if (this.hoverTimer !== null) {
+            clearTimeout(this.hoverTimer);
+            this.hoverTimer = null;
+        }
+        this.setHoveredParticle(null);
+    }
+
+    /**
+     * Update the hovered particle, notifying only on change
+     */
+    setHoveredParticle(particle) {
+        const index = particle ? particle.index : null;
+        if (index === this.hoveredParticle) return;
+
+        this.hoveredParticle = index;
+        if (this.onHoverChanged) {
+            this.onHoverChanged(particle);
         }
     }
 
+    /**
+     * Start a region selection on Shift+drag, taking the pointer from the camera
+     */
+    handleRegionStart(event) {
+        // A drag that ended outside the canvas never got its click; don't drop this one instead
+        this.suppressNextClick = false;
+
+        if (!event.shiftKey || event.button !== 0 || !this.renderer.data) return;
+
+        this.renderer.camera.detachControl();
+        this.region = {
+            points: [[event.clientX, event.clientY]],
+            remove: event.altKey,
+            moved: false
+        };
+    }
+
+    /**
+     * Extend the region and redraw its outline
+     */
+    handleRegionMove(event) {
+        const region = this.region;
+        if (!region) return;
+
+        const [startX, startY] = region.points[0];
+        region.moved = region.moved || Math.hypot(event.clientX - startX, event.clientY - startY) >= MIN_DRAG_DISTANCE;
+
+        if (this.regionMode === 'lasso') {
+            region.points.push([event.clientX, event.clientY]);
+        } else {
+            region.points = [
+                [startX, startY], [event.clientX, startY],
+                [event.clientX, event.clientY], [startX, event.clientY]
+            ];
+        }
+
+        this.drawRegion(region.moved ? region : null);
+    }
+
+    /**
+     * Finish the region: select (or with Alt, deselect) the particles inside it
+     */
+    handleRegionEnd() {
+        const region = this.region;
+        if (!region) return;
+
+        this.region = null;
+        this.drawRegion(null);
+        this.renderer.camera.attachControl(this.renderer.canvas, true);
+
+        if (!region.moved || region.points.length < 3) return;
+
+        const rect = this.renderer.canvas.getBoundingClientRect();
+        const polygon = region.points.map(([x, y]) => [x - rect.left, y - rect.top]);
+        this.selectInRegion(polygon, region.remove);
+        this.suppressNextClick = true;
+    }
+
+    /**
+     * Outline the region on the overlay, or clear it (region = null)
+     */
+    drawRegion(region) {
+        const overlay = document.getElementById('selectionOverlay');
+        if (!overlay) return;
+
+        const outline = overlay.querySelector('polygon');
+        if (!region) {
+            overlay.style.display = 'none';
+            return;
+        }
+
+        outline.setAttribute('points', region.points.map(point => point.join(',')).join(' '));
+        outline.classList.toggle('remove', region.remove);
+        overlay.style.display = 'block';
+    }
+
+    /**
+     * Add the particles whose screen position lies inside a polygon (canvas pixels)
+     * to the selection, or remove them from it
+     */
+    selectInRegion(polygon, remove = false) {
+        const screen = this.renderer.projectParticles();
+        const xs = polygon.map(point => point[0]);
+        const ys = polygon.map(point => point[1]);
+        const minX = Math.min(...xs), maxX = Math.max(...xs);
+        const minY = Math.min(...ys), maxY = Math.max(...ys);
+
+        const inside = [];
+        for (let i = 0; i < screen.length / 2; i++) {
+            const x = screen[i * 2];
+            const y = screen[i * 2 + 1];
+            // NaN (hidden or behind the camera) fails the bounds test
+            if (!(x >= minX && x <= maxX && y >= minY && y <= maxY)) continue;
+            if (pointInPolygon(x, y, polygon)) inside.push(i);
+        }
+
+        if (remove) {
+            this.deselectIndices(inside);
+        } else {
+            this.selectIndices(inside, true);
+        }
+        return inside.length;
+    }
+
     /**
      * Select a particle
      */
@@ -170,10 +399,8 @@ export class InteractionManager {
      * Clear all selections
      */
     clearSelection() {
-        this.selectedParticles.forEach(index => {
-            this.renderer.highlightNucleotide(index, false);
-        });
         this.selectedParticles.clear();
+        this.renderer.setHighlightedParticles([]);
 
         if (this.onSelectionChanged) {
             this.onSelectionChanged([]);
@@ -187,34 +414,68 @@ export class InteractionManager {
         return Array.from(this.selectedParticles);
     }
 
+    /**
+     * Select many particles at once, replacing the selection unless additive.
+     * Listeners are notified once for the whole batch.
+     */
+    selectIndices(particleIndices, additive = false) {
+        if (!additive) {
+            this.selectedParticles.clear();
+        }
+
+        particleIndices.forEach(index => this.selectedParticles.add(index));
+        this.renderer.setHighlightedParticles(this.selectedParticles);
+
+        if (this.onSelectionChanged) {
+            this.onSelectionChanged(Array.from(this.selectedParticles));
+        }
+    }
+
+    /**
+     * Remove many particles from the selection, notifying listeners once
+     */
+    deselectIndices(particleIndices) {
+        particleIndices.forEach(index => this.selectedParticles.delete(index));
+        this.renderer.setHighlightedParticles(this.selectedParticles);
+
+        if (this.onSelectionChanged) {
+            this.onSelectionChanged(Array.from(this.selectedParticles));
+        }
+    }
+
+    /**
+     * Select the particles matching a query such as "strand 1 and type -5".
+     * Throws on syntax errors; returns the number of selected particles.
+     */
+    selectByQuery(source, additive = false) {
+        if (!this.renderer.data) return 0;
+
+        const indices = new SelectionQuery(source).evaluate(this.renderer.data);
+        this.selectIndices(indices, additive);
+        return indices.length;
+    }
+
     /**
      * Select particles by strand
      */
     selectByStrand(strandId) {
         if (!this.renderer.data) return;
 
-        this.clearSelection();
-
-        this.renderer.data.particles.forEach(particle => {
-            if (particle.strand === strandId) {
-                this.selectParticle(particle.index);
-            }
-        });
+        const query = SelectionQuery.fromTree({ kind: 'list', property: 'strand', ranges: [[strandId, strandId]] });
+        this.selectIndices(query.evaluate(this.renderer.data));
     }
 
     /**
-     * Select particles within a radius
+     * Select particles within a radius (minimum-image distance in a periodic box)
      */
     selectWithinRadius(centerParticle, radius) {
         if (!this.renderer.data) return;
 
-        const centerPos = centerParticle.position;
-
-        this.renderer.data.particles.forEach(particle => {
-            const distance = BABYLON.Vector3.Distance(centerPos, particle.position);
-            if (distance <= radius) {
-                this.selectParticle(particle.index);
-            }
+        const query = SelectionQuery.fromTree({
+            kind: 'within',
+            distance: radius,
+            operand: { kind: 'list', property: 'index', ranges: [[centerParticle.index, centerParticle.index]] }
         });
+        this.selectIndices(query.evaluate(this.renderer.data), true);
     }
 }
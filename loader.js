@@ -0,0 +1,266 @@
+/**
+ * Off-main-thread loading of topology and configuration files
+ */
+
+import { TopologyParser, ConfigurationParser, DataCombiner } from './parsers.js';
+import { Diagnostics, TopologyValidator, ConfigurationValidator } from './validation.js';
+import { TrajectoryIndex } from './trajectory.js';
+
+/**
+ * Reads, parses, validates and links dropped files. Runs inside the parser worker,
+ * or on the main thread when workers are unavailable.
+ */
+export class ParsePipeline {
+    constructor() {
+        this.topologyParser = new TopologyParser();
+        this.configurationParser = new ConfigurationParser();
+        this.topologyValidator = new TopologyValidator();
+        this.configurationValidator = new ConfigurationValidator();
+        this.cancelled = false;
+
+        // Configuration files larger than this are indexed and parsed frame by frame on demand
+        this.indexThreshold = 64 * 1024 * 1024;
+    }
+
+    /**
+     * Process files. A previously loaded topology can be passed so a lone .dat file is linked too.
+     * onProgress receives { stage: 'read' | 'index' | 'parse' | 'link', file, fraction }.
+     * A configuration yields either all its frames, or for large files a trajectory index
+     * (see TrajectoryIndex.toData) plus its parsed first frame.
+     */
+    async run(files, previousTopology = null, onProgress = () => {}) {
+        const result = {
+            topology: null,
+            topologyDiagnostics: null,
+            frames: null,
+            trajectoryIndex: null,
+            firstFrame: null,
+            frameCount: 0,
+            configurationDiagnostics: null,
+            linkedData: null,
+            linkDiagnostics: null,
+            loaded: [],
+            errors: []
+        };
+
+        for (const file of files) {
+            const ext = file.name.split('.').pop().toLowerCase();
+            if (ext !== 'psp' && ext !== 'dat') continue;
+
+            if (ext === 'dat' && file.size > this.indexThreshold) {
+                await this.indexTrajectory(file, result, onProgress);
+                continue;
+            }
+
+            const content = await this.readFile(file, fraction => {
+                onProgress({ stage: 'read', file: file.name, fraction });
+            });
+
+            try {
+                if (ext === 'psp') {
+                    onProgress({ stage: 'parse', file: file.name, fraction: 0 });
+                    result.topology = this.topologyParser.parse(content);
+                    result.topologyDiagnostics = this.topologyValidator.validate(result.topology, file.name);
+                } else {
+                    result.frames = this.configurationParser.parseTrajectory(content, fraction => {
+                        onProgress({ stage: 'parse', file: file.name, fraction });
+                    });
+                    result.trajectoryIndex = null;
+                    result.firstFrame = result.frames[0];
+                    result.frameCount = result.frames.length;
+                    result.configurationDiagnostics = this.configurationValidator.validate(result.frames, file.name);
+                }
+                result.loaded.push({ name: file.name, type: ext, frameCount: ext === 'dat' ? result.frameCount : 0 });
+            } catch (error) {
+                result.errors.push({ name: file.name, message: error.message });
+            }
+        }
+
+        const topology = result.topology || previousTopology;
+        if (topology && result.firstFrame) {
+            onProgress({ stage: 'link', file: null, fraction: 0 });
+            result.linkDiagnostics = new Diagnostics();
+            result.linkedData = DataCombiner.link(topology, result.firstFrame, result.linkDiagnostics);
+        }
+
+        return result;
+    }
+
+    /**
+     * Index a large trajectory by byte offsets and parse only its first frame
+     */
+    async indexTrajectory(file, result, onProgress) {
+        try {
+            const index = await TrajectoryIndex.build(file, {
+                onProgress: fraction => onProgress({ stage: 'index', file: file.name, fraction }),
+                isCancelled: () => this.cancelled
+            });
+
+            onProgress({ stage: 'parse', file: file.name, fraction: 0 });
+            result.frames = null;
+            result.trajectoryIndex = index.toData();
+            result.firstFrame = await index.readFrame(0);
+            result.frameCount = index.frameCount;
+
+            // Later frames are validated only when they are parsed, so check the first one here
+            result.configurationDiagnostics = this.configurationValidator.validate([result.firstFrame], file.name);
+            result.loaded.push({ name: file.name, type: 'dat', frameCount: index.frameCount });
+        } catch (error) {
+            if (this.cancelled) throw error;
+            result.errors.push({ name: file.name, message: error.message });
+        }
+    }
+
+    /**
+     * Read a file as text in chunks, reporting the fraction of bytes read
+     */
+    async readFile(file, onProgress) {
+        const reader = file.stream().getReader();
+        const decoder = new TextDecoder();
+        const chunks = [];
+        let bytesRead = 0;
+
+        for (;;) {
+            const { done, value } = await reader.read();
+            if (this.cancelled) {
+                reader.cancel();
+                throw new Error('Loading cancelled');
+            }
+            if (done) break;
+
+            chunks.push(decoder.decode(value, { stream: true }));
+            bytesRead += value.byteLength;
+            onProgress(file.size > 0 ? bytesRead / file.size : 1);
+        }
+        chunks.push(decoder.decode());
+
+        return chunks.join('');
+    }
+}
+
+/**
+ * Main-thread client of the parser worker, with cancellation and a main-thread fallback
+ */
+export class FileLoader {
+    constructor() {
+        this.worker = null;
+        this.useWorker = typeof Worker !== 'undefined';
+        this.pending = null;
+        this.pipeline = null;
+        this.nextRequestId = 1;
+    }
+
+    /**
+     * Load files. Resolves to the pipeline result, or null when cancelled.
+     */
+    load(files, previousTopology = null, onProgress = () => {}) {
+        this.cancel();
+
+        if (!this.useWorker) {
+            return this.loadOnMainThread(files, previousTopology, onProgress);
+        }
+
+        return new Promise((resolve, reject) => {
+            const id = this.nextRequestId++;
+            this.pending = { id, files, previousTopology, onProgress, resolve, reject };
+            this.getWorker().postMessage({ type: 'load', id, files, previousTopology });
+        });
+    }
+
+    /**
+     * Abort the running load; its promise resolves to null
+     */
+    cancel() {
+        if (this.pipeline) {
+            this.pipeline.cancelled = true;
+        }
+
+        if (this.pending) {
+            // Parsing is synchronous inside the worker, so the only way to stop it is to terminate it
+            this.worker.terminate();
+            this.worker = null;
+            this.pending.resolve(null);
+            this.pending = null;
+        }
+    }
+
+    /**
+     * Run the pipeline on the main thread
+     */
+    async loadOnMainThread(files, previousTopology, onProgress) {
+        const pipeline = new ParsePipeline();
+        this.pipeline = pipeline;
+
+        try {
+            return await pipeline.run(files, previousTopology, onProgress);
+        } catch (error) {
+            if (pipeline.cancelled) return null;
+            throw error;
+        } finally {
+            if (this.pipeline === pipeline) {
+                this.pipeline = null;
+            }
+        }
+    }
+
+    /**
+     * Create the worker on first use (and again after a cancellation)
+     */
+    getWorker() {
+        if (!this.worker) {
+            this.worker = new Worker(new URL('./worker.js', import.meta.url), { type: 'module' });
+            this.worker.onmessage = (e) => this.handleMessage(e.data);
+            this.worker.onerror = (e) => this.handleWorkerFailure(e);
+        }
+        return this.worker;
+    }
+
+    /**
+     * Route worker messages to the pending request
+     */
+    handleMessage(message) {
+        const pending = this.pending;
+        if (!pending || message.id !== pending.id) return;
+
+        if (message.type === 'progress') {
+            pending.onProgress(message.progress);
+        } else if (message.type === 'result') {
+            this.pending = null;
+            pending.resolve(FileLoader.restoreDiagnostics(message.result));
+        } else if (message.type === 'error') {
+            this.pending = null;
+            pending.reject(new Error(message.message));
+        }
+    }
+
+    /**
+     * The worker could not start (e.g. module workers unsupported); retry on the main thread
+     */
+    handleWorkerFailure(event) {
+        event.preventDefault();
+        console.warn('Parser worker failed, falling back to the main thread:', event.message);
+
+        this.worker.terminate();
+        this.worker = null;
+        this.useWorker = false;
+
+        const pending = this.pending;
+        this.pending = null;
+        if (pending) {
+            this.loadOnMainThread(pending.files, pending.previousTopology, pending.onProgress)
+                .then(pending.resolve, pending.reject);
+        }
+    }
+
+    /**
+     * Diagnostics lose their prototype when posted from the worker; rebuild them
+     */
+    static restoreDiagnostics(result) {
+        ['topologyDiagnostics', 'configurationDiagnostics', 'linkDiagnostics'].forEach(key => {
+            if (result[key]) {
+                result[key] = new Diagnostics().merge(result[key]);
+            }
+        });
+        return result;
+    }
+}
@@ -0,0 +1,350 @@
+/**
+ * Distance, angle and dihedral measurements between particles
+ */
+
+import { PBCUtils } from './utils.js';
+
+// Particles needed for each measurement kind
+const MEASUREMENT_KINDS = {
+    distance: { count: 2, label: 'Distance', color: new BABYLON.Color4(1.0, 0.85, 0.2, 1.0) },
+    angle: { count: 3, label: 'Angle', color: new BABYLON.Color4(0.3, 0.9, 1.0, 1.0) },
+    dihedral: { count: 4, label: 'Dihedral', color: new BABYLON.Color4(1.0, 0.4, 0.9, 1.0) }
+};
+
+/**
+ * Geometry on particle positions, using minimum-image vectors when a box is given
+ */
+export class MeasurementMath {
+    /**
+     * Vector from a to b (minimum image in a periodic box)
+     */
+    static delta(a, b, box = null) {
+        const delta = b.subtract(a);
+        return PBCUtils.hasBox(box) ? PBCUtils.minimumImage(delta, box) : delta;
+    }
+
+    static distance(a, b, box = null) {
+        return MeasurementMath.delta(a, b, box).length();
+    }
+
+    /**
+     * Angle a-b-c at b, in degrees
+     */
+    static angle(a, b, c, box = null) {
+        const ba = MeasurementMath.delta(b, a, box);
+        const bc = MeasurementMath.delta(b, c, box);
+        const cos = BABYLON.Vector3.Dot(ba, bc) / (ba.length() * bc.length());
+        return Math.acos(Math.max(-1, Math.min(1, cos))) * 180 / Math.PI;
+    }
+
+    /**
+     * Dihedral a-b-c-d around the b-c axis, in degrees (-180..180, IUPAC sign convention)
+     */
+    static dihedral(a, b, c, d, box = null) {
+        const b1 = MeasurementMath.delta(a, b, box);
+        const b2 = MeasurementMath.delta(b, c, box);
+        const b3 = MeasurementMath.delta(c, d, box);
+        const n1 = BABYLON.Vector3.Cross(b1, b2);
+        const n2 = BABYLON.Vector3.Cross(b2, b3);
+
+        const y = b2.length() * BABYLON.Vector3.Dot(b1, n2);
+        const x = BABYLON.Vector3.Dot(n1, n2);
+        return Math.atan2(y, x) * 180 / Math.PI;
+    }
+}
+
+/**
+ * Keeps measurements by particle index, so they follow the particles through a trajectory,
+ * and draws them as lines with screen-space labels
+ */
+export class MeasurementManager {
+    constructor(renderer, labelContainer = null) {
+        this.renderer = renderer;
+        this.labelContainer = labelContainer;
+        this.measurements = [];
+        this.nextId = 1;
+
+        this.mode = 'none'; // 'none', 'distance', 'angle' or 'dihedral'
+        this.pending = []; // Particles picked so far for the next measurement
+
+        this.lineMesh = null;
+        this.lineCount = 0;
+        this.labels = new Map(); // Measurement id -> label element
+        this.placed = []; // Label anchor of every drawn measurement
+
+        // What the lines and labels were last drawn for
+        this.dirty = true;
+        this.drawnPositions = null;
+        this.viewFlag = null;
+
+        this.onChanged = null;
+
+        // Follow the camera, box shifts and frame changes
+        this.renderObserver = renderer.scene.onAfterRenderObservable.add(() => this.update());
+    }
+
+    /**
+     * Number of particles a measurement kind takes
+     */
+    static getParticleCount(kind) {
+        return MEASUREMENT_KINDS[kind] ? MEASUREMENT_KINDS[kind].count : 0;
+    }
+
+    /**
+     * Choose what clicked particles measure; 'none' gives clicks back to selection
+     */
+    setMode(mode) {
+        this.mode = MEASUREMENT_KINDS[mode] ? mode : 'none';
+        this.pending = [];
+        this.notify();
+    }
+
+    /**
+     * Add a picked particle; completes a measurement once enough particles are picked.
+     * Returns the new measurement or null.
+     */
+    addPick(particleIndex) {
+        if (this.mode === 'none') return null;
+
+        // Picking the same particle twice in a row is a misclick
+        if (this.pending[this.pending.length - 1] === particleIndex) return null;
+
+        this.pending.push(particleIndex);
+        if (this.pending.length < MeasurementManager.getParticleCount(this.mode)) {
+            this.notify();
+            return null;
+        }
+
+        const measurement = this.add(this.mode, this.pending);
+        this.pending = [];
+        return measurement;
+    }
+
+    /**
+     * Measure particles directly; the kind must match the number of indices
+     */
+    add(kind, particleIndices) {
+        const count = MeasurementManager.getParticleCount(kind);
+        if (count === 0) {
+            throw new Error(`Unknown measurement "${kind}"`);
+        }
+        if (count !== particleIndices.length) {
+            throw new Error(`${MEASUREMENT_KINDS[kind].label} takes ${count} particles, got ${particleIndices.length}`);
+        }
+
+        const measurement = { id: this.nextId++, kind, indices: [...particleIndices] };
+        this.measurements.push(measurement);
+        this.notify();
+        return measurement;
+    }
+
+    remove(id) {
+        this.measurements = this.measurements.filter(measurement => measurement.id !== id);
+        this.notify();
+    }
+
+    clear() {
+        this.measurements = [];
+        this.pending = [];
+        this.notify();
+    }
+
+    /**
+     * Current value: a distance, or an angle in degrees
+     */
+    getValue(measurement) {
+        const data = this.renderer.data;
+        if (!data) return NaN;
+
+        const box = data.metadata.box;
+        const positions = measurement.indices.map(index => data.particles[index] && data.particles[index].position);
+        if (positions.some(position => !position)) return NaN;
+
+        switch (measurement.kind) {
+            case 'distance':
+                return MeasurementMath.distance(positions[0], positions[1], box);
+            case 'angle':
+                return MeasurementMath.angle(positions[0], positions[1], positions[2], box);
+            case 'dihedral':
+                return MeasurementMath.dihedral(positions[0], positions[1], positions[2], positions[3], box);
+        }
+        return NaN;
+    }
+
+    /**
+     * Value with its unit, e.g. "12.31" or "109.5°"
+     */
+    formatValue(measurement) {
+        const value = this.getValue(measurement);
+        if (!Number.isFinite(value)) return '—';
+        return measurement.kind === 'distance' ? value.toFixed(2) : `${value.toFixed(1)}°`;
+    }
+
+    getLabel(measurement) {
+        return MEASUREMENT_KINDS[measurement.kind].label;
+    }
+
+    /**
+     * Points of the drawn chain: the first particle as displayed, then each following particle
+     * reached by the minimum-image step, so chains never stretch across the box
+     */
+    getChain(measurement) {
+        const data = this.renderer.data;
+        const box = data.metadata.box;
+        const start = this.renderer.displayPositions[measurement.indices[0]];
+        if (!start) return null;
+
+        const chain = [start];
+        for (let k = 1; k < measurement.indices.length; k++) {
+            const from = data.particles[measurement.indices[k - 1]];
+            const to = data.particles[measurement.indices[k]];
+            if (!from || !to) return null;
+            chain.push(chain[k - 1].add(MeasurementMath.delta(from.position, to.position, box)));
+        }
+        return chain;
+    }
+
+    /**
+     * Redraw lines when positions or measurements changed, and move labels when the camera moved
+     */
+    update() {
+        if (!this.renderer.data || this.measurements.length === 0) {
+            if (this.lineMesh || this.labels.size > 0) {
+                this.disposeLines();
+                this.placed = [];
+                this.syncLabels();
+            }
+            this.drawnPositions = null;
+            return;
+        }
+
+        // Display positions are replaced on every frame change, box shift or recentering
+        const positions = this.renderer.displayPositions;
+        if (this.dirty || positions !== this.drawnPositions) {
+            this.dirty = false;
+            this.drawnPositions = positions;
+            this.redraw();
+            this.viewFlag = null;
+        }
+
+        // The view-projection matrix only changes when the camera moves or the canvas resizes
+        const viewFlag = this.renderer.scene.getTransformMatrix().updateFlag;
+        if (viewFlag !== this.viewFlag) {
+            this.viewFlag = viewFlag;
+            this.placeLabels();
+        }
+    }
+
+    /**
+     * Rebuild the lines and label texts for the current positions
+     */
+    redraw() {
+        const lines = [];
+        const colors = [];
+        const placed = [];
+
+        this.measurements.forEach(measurement => {
+            const chain = this.getChain(measurement);
+            if (!chain) return;
+
+            const color = MEASUREMENT_KINDS[measurement.kind].color;
+            for (let k = 1; k < chain.length; k++) {
+                lines.push([chain[k - 1], chain[k]]);
+                colors.push([color, color]);
+            }
+
+            // Label at the middle of the chain
+            const middle = chain.reduce((sum, point) => sum.add(point), BABYLON.Vector3.Zero()).scale(1 / chain.length);
+            placed.push({ measurement, position: middle });
+        });
+
+        if (this.lineMesh && lines.length === this.lineCount) {
+            BABYLON.MeshBuilder.CreateLineSystem('measurements', { lines, colors, instance: this.lineMesh });
+        } else {
+            this.disposeLines();
+            if (lines.length > 0) {
+                this.lineMesh = BABYLON.MeshBuilder.CreateLineSystem(
+                    'measurements',
+                    { lines, colors, updatable: true },
+                    this.renderer.scene
+                );
+                this.lineMesh.isPickable = false;
+                this.lineCount = lines.length;
+            }
+        }
+
+        this.placed = placed;
+        this.syncLabels();
+    }
+
+    /**
+     * Create, fill and remove label elements to match the placed measurements
+     */
+    syncLabels() {
+        if (!this.labelContainer) return;
+
+        const seen = new Set();
+        this.placed.forEach(({ measurement }) => {
+            seen.add(measurement.id);
+
+            let label = this.labels.get(measurement.id);
+            if (!label) {
+                label = document.createElement('div');
+                label.className = `measurement-label ${measurement.kind}`;
+                this.labelContainer.appendChild(label);
+                this.labels.set(measurement.id, label);
+            }
+            label.textContent = this.formatValue(measurement);
+        });
+
+        this.labels.forEach((label, id) => {
+            if (!seen.has(id)) {
+                label.remove();
+                this.labels.delete(id);
+            }
+        });
+    }
+
+    /**
+     * Move labels to the screen position of their measurement, hiding those behind the camera
+     */
+    placeLabels() {
+        if (!this.labelContainer || this.placed.length === 0) return;
+
+        const rect = this.renderer.canvas.getBoundingClientRect();
+        this.placed.forEach(({ measurement, position }) => {
+            const label = this.labels.get(measurement.id);
+            const screen = this.renderer.projectPoint(position);
+            if (!screen) {
+                label.style.display = 'none';
+                return;
+            }
+
+            label.style.display = 'block';
+            label.style.left = `${rect.left + screen.x}px`;
+            label.style.top = `${rect.top + screen.y}px`;
+        });
+    }
+
+    disposeLines() {
+        if (this.lineMesh) {
+            this.lineMesh.dispose();
+            this.lineMesh = null;
+            this.lineCount = 0;
+        }
+    }
+
+    notify() {
+        this.dirty = true;
+        if (this.onChanged) {
+            this.onChanged(this.measurements);
+        }
+    }
+
+    dispose() {
+        this.renderer.scene.onAfterRenderObservable.remove(this.renderObserver);
+        this.disposeLines();
+        this.placed = [];
+        this.syncLabels();
+    }
+}
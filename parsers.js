@@ -26,7 +26,9 @@ export class TopologyParser {
                     numParticles: parts[0],
                     numStrands: parts[1],
                     maxSpringsPerParticle: parts[2],
-                    repeatedPatchesPerParticle: parts[3]
+                    repeatedPatchesPerParticle: parts[3],
+                    line: currentLine + 1,
+                    fieldCount: parts.length
                 };
                 currentLine++;
                 break;
@@ -55,7 +57,9 @@ export class TopologyParser {
                             x: parseFloat(parts[4]),
                             y: parseFloat(parts[5]),
                             z: parseFloat(parts[6])
-                        }
+                        },
+                        line: currentLine + 1,
+                        fieldCount: parts.length
                     });
                 } else if (parts[0] === 'iS') {
                     // Spring definition: iS springId k r0 x y z
@@ -67,7 +71,9 @@ export class TopologyParser {
                             x: parseFloat(parts[4]),
                             y: parseFloat(parts[5]),
                             z: parseFloat(parts[6])
-                        }
+                        },
+                        line: currentLine + 1,
+                        fieldCount: parts.length
                     });
                 } else {
                     // Particle definition: particleType strand radius mass numPatches patchId ... springConnections
@@ -106,7 +112,10 @@ export class TopologyParser {
                         radius: radius,
                         mass: mass,
                         patches: particlePatches,
-                        connections: particleConnections
+                        connections: particleConnections,
+                        line: currentLine + 1,
+                        // Unpaired token left after the connection pairs, kept for validation
+                        leftoverTokens: parts.slice(idx)
                     });
                 }
             }
@@ -122,55 +131,150 @@ export class TopologyParser {
  * Parse configuration file (.dat format)
  */
 export class ConfigurationParser {
+    /**
+     * Parse the first configuration in a file
+     */
     parse(content) {
+        return this.parseTrajectory(content)[0];
+    }
+
+    /**
+     * Parse every configuration of a trajectory file into a list of frames.
+     * onProgress, if given, is called with the fraction of lines parsed after each frame.
+     */
+    parseTrajectory(content, onProgress = null) {
         const lines = content.split('\n').map(line => line.trim());
+        const frames = [];
+
+        // Each configuration starts at the first header line (t, b or E) that follows data rows
+        let frameStart = 0;
+        let inHeader = true;
+        for (let i = 0; i < lines.length; i++) {
+            const line = lines[i];
+            if (!line || line.startsWith('#')) continue;
+
+            const isHeader = this.getHeaderKey(line) !== null;
+            if (isHeader && !inHeader) {
+                frames.push(this.parseFrame(lines, frameStart, i));
+                frameStart = i;
+                if (onProgress) onProgress(i / lines.length);
+            }
+            inHeader = isHeader;
+        }
+        frames.push(this.parseFrame(lines, frameStart, lines.length));
+        if (onProgress) onProgress(1);
+
+        return frames;
+    }
+
+    /**
+     * Return 't', 'b' or 'E' for a configuration header line, otherwise null
+     */
+    getHeaderKey(line) {
+        const match = /^([tbE])\s*=/.exec(line);
+        return match ? match[1] : null;
+    }
+
+    /**
+     * Parse the text of a single configuration whose first line is firstLine in the source file
+     */
+    parseFrameText(content, firstLine = 1) {
+        const lines = content.split('\n').map(line => line.trim());
+        return this.parseFrame(lines, 0, lines.length, firstLine - 1);
+    }
+
+    /**
+     * Parse a single configuration spanning lines [start, end).
+     * Per-particle vectors are packed as xyz triples in Float32Arrays.
+     * lineOffset is added to reported line numbers when lines is an excerpt of the file.
+     */
+    parseFrame(lines, start, end, lineOffset = 0) {
         const config = {
             timestep: 0,
             box: { x: 0, y: 0, z: 0 },
             energy: { total: 0, potential: 0, kinetic: 0 },
-            nucleotides: []
+            count: 0,
+            positions: null,
+            baseVectors: null,
+            normalVectors: null,
+            velocities: null,
+            angularVelocities: null,
+            // 1-based source line of each particle row
+            lines: null,
+            // Header keys in the order found, with their 1-based line numbers
+            headerOrder: [],
+            headerLines: {},
+            // Data rows that were dropped because they have fewer than 15 columns
+            skippedRows: []
         };
 
-        let currentLine = 0;
+        let currentLine = start;
 
-        // Parse header (3 lines)
-        if (lines[currentLine].startsWith('t =')) {
-            config.timestep = parseInt(lines[currentLine].split('=')[1].trim());
-            currentLine++;
-        }
+        // Parse header lines (t, b, E), accepting them in any order
+        while (currentLine < end) {
+            const line = lines[currentLine];
+            if (!line || line.startsWith('#')) {
+                currentLine++;
+                continue;
+            }
 
-        if (lines[currentLine].startsWith('b =')) {
-            const boxParts = lines[currentLine].split('=')[1].trim().split(/\s+/).map(parseFloat);
-            config.box = { x: boxParts[0], y: boxParts[1], z: boxParts[2] };
-            currentLine++;
-        }
+            const key = this.getHeaderKey(line);
+            if (key === null) break;
+
+            const values = line.split('=')[1].trim().split(/\s+/).map(parseFloat);
+            if (key === 't') {
+                config.timestep = parseInt(line.split('=')[1].trim());
+            } else if (key === 'b') {
+                config.box = { x: values[0], y: values[1], z: values[2] };
+            } else {
+                config.energy = { total: values[0], potential: values[1], kinetic: values[2] };
+            }
 
-        if (lines[currentLine].startsWith('E =')) {
-            const energyParts = lines[currentLine].split('=')[1].trim().split(/\s+/).map(parseFloat);
-            config.energy = { total: energyParts[0], potential: energyParts[1], kinetic: energyParts[2] };
+            config.headerOrder.push(key);
+            config.headerLines[key] = lineOffset + currentLine + 1;
             currentLine++;
         }
 
-        // Parse nucleotide data
-        while (currentLine < lines.length) {
+        // Parse nucleotide data into arrays sized for the remaining lines, trimmed afterwards
+        const capacity = end - currentLine;
+        const columns = [
+            new Float32Array(capacity * 3),
+            new Float32Array(capacity * 3),
+            new Float32Array(capacity * 3),
+            new Float32Array(capacity * 3),
+            new Float32Array(capacity * 3)
+        ];
+        const rowLines = new Int32Array(capacity);
+        let count = 0;
+
+        while (currentLine < end) {
             const line = lines[currentLine];
             if (line && !line.startsWith('#')) {
                 const parts = line.split(/\s+/).map(parseFloat);
 
                 if (parts.length >= 15) {
-                    config.nucleotides.push({
-                        index: config.nucleotides.length,
-                        position: { x: parts[0], y: parts[1], z: parts[2] },
-                        baseVector: { x: parts[3], y: parts[4], z: parts[5] },
-                        normalVector: { x: parts[6], y: parts[7], z: parts[8] },
-                        velocity: { x: parts[9], y: parts[10], z: parts[11] },
-                        angularVelocity: { x: parts[12], y: parts[13], z: parts[14] }
-                    });
+                    for (let c = 0; c < 5; c++) {
+                        columns[c].set(parts.slice(c * 3, c * 3 + 3), count * 3);
+                    }
+                    rowLines[count] = lineOffset + currentLine + 1;
+                    count++;
+                } else {
+                    config.skippedRows.push({ line: lineOffset + currentLine + 1, fieldCount: parts.length });
                 }
             }
             currentLine++;
         }
 
+        config.count = count;
+        [
+            config.positions,
+            config.baseVectors,
+            config.normalVectors,
+            config.velocities,
+            config.angularVelocities
+        ] = columns.map(column => column.slice(0, count * 3));
+        config.lines = rowLines.slice(0, count);
+
         return config;
     }
 }
@@ -180,25 +284,40 @@ export class ConfigurationParser {
  */
 export class DataCombiner {
     /**
-     * Combine topology and configuration to create complete particle data
+     * Combine topology and configuration to create complete particle data.
+     * Warnings go to the optional Diagnostics collector instead of the console.
+     */
+    static combine(topology, configuration, diagnostics = null) {
+        return DataCombiner.hydrate(DataCombiner.link(topology, configuration, diagnostics), configuration);
+    }
+
+    /**
+     * Build particles, bonds and the bond adjacency without per-particle vectors.
+     * Runs in linear time and does not use BABYLON, so it can run in the parser worker.
      */
-    static combine(topology, configuration) {
-        if (topology.header.numParticles !== configuration.nucleotides.length) {
-            console.warn(`Particle count mismatch: topology=${topology.header.numParticles}, config=${configuration.nucleotides.length}`);
+    static link(topology, configuration, diagnostics = null) {
+        if (topology.header.numParticles !== configuration.count) {
+            const message = `Particle count mismatch: topology=${topology.header.numParticles}, config=${configuration.count}`;
+            if (diagnostics) {
+                diagnostics.warning(message);
+            } else {
+                console.warn(message);
+            }
         }
 
+        const patchesById = new Map(topology.patches.map(patch => [patch.id, patch]));
+        const springsById = new Map(topology.springs.map(spring => [spring.id, spring]));
+
         const particles = [];
-        const count = Math.min(topology.particles.length, configuration.nucleotides.length);
+        const count = Math.min(topology.particles.length, configuration.count);
 
         for (let i = 0; i < count; i++) {
             const topoParticle = topology.particles[i];
-            const configNucleotide = configuration.nucleotides[i];
 
             // Get patch info
-            const patchesData = topoParticle.patches.map(patchId => {
-                const patch = topology.patches.find(p => p.id === patchId);
-                return patch || null;
-            }).filter(p => p !== null);
+            const patchesData = topoParticle.patches
+                .map(patchId => patchesById.get(patchId) || null)
+                .filter(p => p !== null);
 
             particles.push({
                 index: i,
@@ -209,61 +328,35 @@ export class DataCombiner {
                 radius: topoParticle.radius,
                 mass: topoParticle.mass,
                 patches: patchesData,
-                connections: topoParticle.connections,
-
-                // From configuration
-                position: new BABYLON.Vector3(
-                    configNucleotide.position.x,
-                    configNucleotide.position.y,
-                    configNucleotide.position.z
-                ),
-                baseVector: new BABYLON.Vector3(
-                    configNucleotide.baseVector.x,
-                    configNucleotide.baseVector.y,
-                    configNucleotide.baseVector.z
-                ),
-                normalVector: new BABYLON.Vector3(
-                    configNucleotide.normalVector.x,
-                    configNucleotide.normalVector.y,
-                    configNucleotide.normalVector.z
-                ),
-                velocity: new BABYLON.Vector3(
-                    configNucleotide.velocity.x,
-                    configNucleotide.velocity.y,
-                    configNucleotide.velocity.z
-                ),
-                angularVelocity: new BABYLON.Vector3(
-                    configNucleotide.angularVelocity.x,
-                    configNucleotide.angularVelocity.y,
-                    configNucleotide.angularVelocity.z
-                )
+                connections: topoParticle.connections
             });
         }
 
-        // Create spring/bond data
+        // Create spring/bond data; each unordered pair is keyed once as low * count + high
         const bonds = [];
+        const bondKeys = new Set();
         for (const particle of particles) {
             for (const connection of particle.connections) {
-                // Avoid duplicate bonds
-                const existingBond = bonds.find(b =>
-                    (b.from === particle.index && b.to === connection.particleIndex) ||
-                    (b.from === connection.particleIndex && b.to === particle.index)
-                );
-
-                if (!existingBond && connection.particleIndex < particles.length) {
-                    const spring = topology.springs.find(s => s.id === connection.springIndex);
-                    bonds.push({
-                        from: particle.index,
-                        to: connection.particleIndex,
-                        spring: spring || null
-                    });
-                }
+                const other = connection.particleIndex;
+                // Neighbour -1 is blank
+                if (!(other >= 0 && other < count)) continue;
+
+                const key = Math.min(particle.index, other) * count + Math.max(particle.index, other);
+                if (bondKeys.has(key)) continue;
+                bondKeys.add(key);
+
+                bonds.push({
+                    from: particle.index,
+                    to: other,
+                    spring: springsById.get(connection.springIndex) || null
+                });
             }
         }
 
         return {
             particles,
             bonds,
+            adjacency: DataCombiner.buildAdjacency(count, bonds),
             metadata: {
                 timestep: configuration.timestep,
                 box: configuration.box,
@@ -272,4 +365,84 @@ export class DataCombiner {
             }
         };
     }
+
+    /**
+     * Bond adjacency in compressed sparse row form: the neighbors of particle i are
+     * neighbors[offsets[i]] .. neighbors[offsets[i + 1] - 1], connected by bonds[bondIndices[k]].
+     */
+    static buildAdjacency(count, bonds) {
+        const offsets = new Int32Array(count + 1);
+        bonds.forEach(bond => {
+            offsets[bond.from + 1]++;
+            offsets[bond.to + 1]++;
+        });
+        for (let i = 0; i < count; i++) {
+            offsets[i + 1] += offsets[i];
+        }
+
+        const neighbors = new Int32Array(offsets[count]);
+        const bondIndices = new Int32Array(offsets[count]);
+        const cursor = offsets.slice(0, count);
+        bonds.forEach((bond, b) => {
+            neighbors[cursor[bond.from]] = bond.to;
+            bondIndices[cursor[bond.from]++] = b;
+            neighbors[cursor[bond.to]] = bond.from;
+            bondIndices[cursor[bond.to]++] = b;
+        });
+
+        return { offsets, neighbors, bondIndices };
+    }
+
+    /**
+     * Give linked particles their vectors from a configuration (main thread only)
+     */
+    static hydrate(linkedData, configuration) {
+        for (const particle of linkedData.particles) {
+            particle.position = new BABYLON.Vector3();
+            particle.baseVector = new BABYLON.Vector3();
+            particle.normalVector = new BABYLON.Vector3();
+            particle.velocity = new BABYLON.Vector3();
+            particle.angularVelocity = new BABYLON.Vector3();
+        }
+
+        DataCombiner.copyVectors(linkedData.particles, configuration);
+        return linkedData;
+    }
+
+    /**
+     * Apply another configuration (trajectory frame) to already combined data in place
+     */
+    static applyFrame(combinedData, configuration) {
+        const particles = combinedData.particles;
+        if (particles.length !== configuration.count) {
+            console.warn(`Frame particle count mismatch: expected ${particles.length}, got ${configuration.count}`);
+        }
+
+        DataCombiner.copyVectors(particles, configuration);
+
+        combinedData.metadata.timestep = configuration.timestep;
+        combinedData.metadata.box = configuration.box;
+        combinedData.metadata.energy = configuration.energy;
+
+        return combinedData;
+    }
+
+    /**
+     * Copy the packed vectors of a configuration into the particles' Vector3s
+     */
+    static copyVectors(particles, configuration) {
+        const { positions, baseVectors, normalVectors, velocities, angularVelocities } = configuration;
+        const count = Math.min(particles.length, configuration.count);
+
+        for (let i = 0; i < count; i++) {
+            const particle = particles[i];
+            const o = i * 3;
+
+            particle.position.copyFromFloats(positions[o], positions[o + 1], positions[o + 2]);
+            particle.baseVector.copyFromFloats(baseVectors[o], baseVectors[o + 1], baseVectors[o + 2]);
+            particle.normalVector.copyFromFloats(normalVectors[o], normalVectors[o + 1], normalVectors[o + 2]);
+            particle.velocity.copyFromFloats(velocities[o], velocities[o + 1], velocities[o + 2]);
+            particle.angularVelocity.copyFromFloats(angularVelocities[o], angularVelocities[o + 1], angularVelocities[o + 2]);
+        }
+    }
 }
@@ -2,7 +2,65 @@
  * Babylon.js 3D renderer for DNA structures
  */
 
-import { ColorMapper, VectorUtils, LODCalculator } from './utils.js';
+import { ColorMapper, ColorScale, CategoryPalette, VectorUtils, PBCUtils, LODCalculator } from './utils.js';
+import { SphereImpostors } from './impostors.js';
+import { ClusterAnalysis, PatchBinding } from './analysis.js';
+
+// Vector fields that can be drawn as arrow overlays
+const VECTOR_FIELDS = {
+    velocity: { property: 'velocity', title: 'Speed |v|' },
+    angularVelocity: { property: 'angularVelocity', title: 'Angular speed |L|' }
+};
+
+// Particle color schemes. Discrete schemes color categories from the category palette,
+// continuous ones map values onto the particle color scale; perFrame ones change with the trajectory.
+const COLOR_SCHEMES = {
+    patch: { title: 'First patch color (otherwise strand)', type: 'discrete' },
+    strand: { title: 'Strand', type: 'discrete' },
+    type: { title: 'Particle type', type: 'discrete' },
+    cluster: { title: 'Cluster (largest first)', type: 'discrete', perFrame: true },
+    mass: { title: 'Mass', type: 'continuous' },
+    radius: { title: 'Radius', type: 'continuous' },
+    strandPosition: { title: 'Index along strand (fraction)', type: 'continuous' },
+    speed: { title: 'Speed |v|', type: 'continuous', perFrame: true },
+    energy: { title: 'Spring energy per particle', type: 'continuous', perFrame: true }
+};
+
+// Color for particles without a value in a continuous scheme, and for unclustered particles
+const MISSING_VALUE_COLOR = { r: 0.5, g: 0.5, b: 0.5 };
+
+// Legends list at most this many categories
+const MAX_LEGEND_ENTRIES = 12;
+
+// Level-of-detail buckets from nearest to farthest; 'points' draws far particles as single points
+const LOD_LEVELS = ['high', 'medium', 'low', 'points'];
+const HIDDEN_LEVEL = 255; // Level marker for hidden particles when sorting thin instances
+
+// Colors for the a1, a2 and a3 orientation axes
+const AXIS_COLORS = {
+    a1: new BABYLON.Color4(1.0, 0.25, 0.25, 1.0),
+    a2: new BABYLON.Color4(0.25, 1.0, 0.35, 1.0),
+    a3: new BABYLON.Color4(0.3, 0.5, 1.0, 1.0)
+};
+
+// Overlay color of bound patch pairs
+const PATCH_BOND_COLOR = new BABYLON.Color4(0.2, 1.0, 0.45, 1.0);
+
+/**
+ * Project a world point with a view-projection matrix (m, column-major) to canvas pixels,
+ * written to out[offset] and out[offset + 1]. Returns false, writing nothing, behind the camera.
+ */
+function projectToScreen(m, point, width, height, out, offset) {
+    const { x, y, z } = point;
+    const w = x * m[3] + y * m[7] + z * m[11] + m[15];
+    if (w <= 0) return false;
+
+    const ndcX = (x * m[0] + y * m[4] + z * m[8] + m[12]) / w;
+    const ndcY = (x * m[1] + y * m[5] + z * m[9] + m[13]) / w;
+    out[offset] = (ndcX + 1) / 2 * width;
+    out[offset + 1] = (1 - ndcY) / 2 * height;
+    return true;
+}
 
 export class DNARenderer {
     constructor(canvas) {
@@ -13,21 +71,101 @@ export class DNARenderer {
         this.data = null;
 
         this.colorMapper = new ColorMapper();
+
+        // Particle coloring
+        this.colorScheme = 'patch';
+        this.categoryPalette = new CategoryPalette('golden');
+        this.particleColorScale = new ColorScale('viridis');
+        this.particleColorLegend = null;
         this.lodCalculator = new LODCalculator();
 
+        // Clusters of the current frame (ClusterAnalysis.compute), computed on demand
+        this.clusterCutoff = 0;
+        this.clusters = null;
+
+        // Bound patch pairs of the current frame (PatchBinding.compute), computed on demand
+        this.patchBindingCutoff = 1.0;
+        this.patchBindings = null;
+        this.showPatchBonds = false;
+        this.patchBondMesh = null;
+
         // Instance management
         this.nucleotideInstances = [];
+        this.instanceByIndex = []; // Nucleotide instance per particle index
+        this.nucleotideSourceMeshes = []; // Invisible per-strand spheres the instances are created from
         this.bondMeshes = [];
         this.bondMeshes = [];
         this.patchMeshes = [];
         this.bondMeshes = [];
         this.patchMeshes = [];
-        this.selectionMeshes = new Map();
+        this.patchInstances = [];
+        this.bondInstances = [];
+
+        // Selected particles, outlined by thin instances of one proxy sphere
+        this.highlightedParticles = new Set();
+        this.selectionMesh = null;
+
+        // Hidden strands, and the resulting per-particle mask (1 = hidden) or null when all are shown
+        this.hiddenStrands = new Set();
+        this.hiddenParticles = null;
         this.boxMesh = null;
 
+        // Particle rendering: one InstancedMesh per particle, or thin instances of a single mesh
+        this.particleRenderMode = 'auto'; // 'auto', 'instances' or 'thin'
+        this.thinInstanceThreshold = 50000; // Particle count from which 'auto' uses thin instances
+        this.activeParticleMode = 'instances'; // 'instances', 'thin' or 'impostors'
+        this.useImpostors = false; // Ray-cast sphere impostors instead of sphere meshes
+        this.impostors = null;
+        this.particleMatrices = null; // 16 floats per particle, indexed by particle index
+        this.particleColors = null; // 4 floats per particle
+        this.gpuPicker = null;
+        this.gpuPickRunning = null; // Promise of the GPU pick in flight
+
+        // Distance-based level of detail (thresholds live in lodCalculator)
+        this.lodEnabled = true;
+        this.lodMeshes = []; // Lower-detail meshes attached to the instanced strand spheres
+        this.pointSize = 3; // Pixel size of particles drawn as points
+        this.thinLODMeshes = {}; // Thin-instance mesh per LOD level
+        this.thinLODIndices = {}; // Particle indices drawn by each level's mesh, in instance order
+        this.thinLODOrder = null; // Particle indices sorted by level; the per-level arrays are views into it
+        this.thinLODMatrices = null;
+        this.thinLODColors = null;
+        this.lodObserver = null;
+        this.lastLODCameraPosition = null;
+        this.lastLODUpdate = 0;
+
         // PBC and Interaction State
         this.boxOffset = new BABYLON.Vector3(0, 0, 0);
+        this.wrapPositions = false; // Wrap into the box once the user starts shifting it
         this.originalParticlePositions = []; // Store source truth
+        this.displayPositions = []; // Positions currently drawn, indexed by particle index
+        this.unwrapStrands = false; // Draw bonded groups contiguously instead of wrapping particles
+        this.centerTarget = 'none'; // 'none', 'largest' or 'strand:<id>' to recenter the box on
+
+        // Bond display options
+        this.bondMode = 'lines'; // 'lines' or 'cylinders'
+        this.bondColorMode = 'uniform'; // 'uniform', 'strain' or 'energy'
+        this.bondColorScale = new ColorScale('coolwarm');
+        this.bondRadiusScale = 0.2; // Cylinder radius relative to the smaller particle radius
+        this.bondRange = null;
+        this.splitBondsAtBoundary = true; // Draw bonds crossing the box as two halves ending at the faces
+        this.bondSegmentCount = 0;
+
+        // Patch display options
+        this.showPatches = false;
+        this.patchScale = 0.3; // Patch sphere diameter relative to particle radius at full strength
+
+        // Orientation axis overlay
+        this.axisMesh = null;
+        this.visibleAxes = { a1: false, a2: false, a3: false };
+        this.axisScale = 1.5; // Axis length relative to particle radius
+
+        // Velocity / angular velocity arrow overlay
+        this.vectorFieldMesh = null;
+        this.vectorField = 'none';
+        this.vectorScale = 5; // Arrow length per unit magnitude
+        this.vectorColorScale = new ColorScale('viridis');
+        this.vectorFieldRange = { min: 0, max: 0 };
 
         // Materials
         this.nucleotideMaterial = null;
@@ -88,6 +226,7 @@ export class DNARenderer {
             this.scene
         );
         dirLight.intensity = 0.8;
+        this.dirLight = dirLight;
 
         // Create materials
         this.createMaterials();
@@ -139,9 +278,15 @@ export class DNARenderer {
 
         // Reset offset
         this.boxOffset = new BABYLON.Vector3(0, 0, 0);
+        this.wrapPositions = false;
+        this.hiddenStrands.clear();
+        this.hiddenParticles = null;
+        this.clusters = null;
+        this.patchBindings = null;
 
         // Store original positions for PBC calculations
         this.originalParticlePositions = combinedData.particles.map(p => p.position.clone());
+        this.displayPositions = this.originalParticlePositions.map(p => p.clone());
 
         // Calculate center and adjust camera
         const positions = combinedData.particles.map(p => p.position);
@@ -155,7 +300,16 @@ export class DNARenderer {
 
         // Render particles and bonds
         this.renderNucleotides(combinedData.particles);
-        this.renderBonds(combinedData.bonds, combinedData.particles);
+        this.renderBonds(combinedData.bonds);
+
+        // Patches are built lazily since they multiply the instance count
+        if (this.showPatches) {
+            this.renderPatches(combinedData.particles);
+        }
+
+        this.renderAxes();
+        this.renderVectorField();
+        this.renderPatchBonds();
 
         // Render bounding box
         if (combinedData.metadata && combinedData.metadata.box) {
@@ -166,369 +320,1791 @@ export class DNARenderer {
     }
 
     /**
-     * Render nucleotides using GPU instancing
+     * Render nucleotides with instances or, for large systems, thin instances
      */
     renderNucleotides(particles) {
         if (particles.length === 0) return;
 
-        // Group particles by strand to use different colors
-        const strandGroups = {};
+        if (this.useImpostors) {
+            this.activeParticleMode = 'impostors';
+            this.renderNucleotideImpostors(particles);
+            return;
+        }
+
+        const useThin = this.particleRenderMode === 'thin' ||
+            (this.particleRenderMode === 'auto' && particles.length >= this.thinInstanceThreshold);
+        this.activeParticleMode = useThin ? 'thin' : 'instances';
+
+        if (useThin) {
+            this.renderNucleotideThinInstances(particles);
+        } else {
+            this.renderNucleotideInstances(particles);
+        }
+    }
+
+    /**
+     * Render nucleotides using GPU instancing, one InstancedMesh per particle
+     */
+    renderNucleotideInstances(particles) {
+        const colors = this.getParticleColors(particles);
+        const white = new BABYLON.Color3(1, 1, 1);
+
+        // Create base sphere (will be instanced); with LOD it is the high-detail level
+        const segments = this.lodEnabled ? this.lodCalculator.getSubdivisions('high') : 12;
+        const baseSphere = BABYLON.MeshBuilder.CreateSphere(
+            'nucleotide',
+            { diameter: 1, segments },
+            this.scene
+        );
+
+        // White base color so the per-instance color shows through
+        const material = new BABYLON.PBRMaterial('nucleotideMat', this.scene);
+        material.metallic = 0.0;
+        material.roughness = 0.4;
+        material.albedoColor = white;
+        baseSphere.material = material;
+        baseSphere.registerInstancedBuffer(BABYLON.VertexBuffer.ColorKind, 4);
+        baseSphere.instancedBuffers.color = new BABYLON.Color4(1, 1, 1, 1);
+
+        // IMPORTANT: Disable source mesh but keep it for instancing
+        baseSphere.isVisible = false;
+        this.nucleotideSourceMeshes.push(baseSphere);
+
+        // Instances pick their level individually from their distance to the camera.
+        // Each level draws the instances itself, so it needs the color buffer too.
+        if (this.lodEnabled) {
+            const { high, medium, low } = this.lodCalculator.thresholds;
+            [['medium', high], ['low', medium], ['points', low]].forEach(([level, distance]) => {
+                const lodMesh = this.createLODMesh(`${baseSphere.name}_${level}`, level, white);
+                lodMesh.registerInstancedBuffer(BABYLON.VertexBuffer.ColorKind, 4);
+                lodMesh.instancedBuffers.color = new BABYLON.Color4(1, 1, 1, 1);
+                lodMesh.isVisible = false;
+                baseSphere.addLODLevel(distance, lodMesh);
+                this.lodMeshes.push(lodMesh);
+            });
+        }
+
+        // Create instances - treat ALL particles as instances of the invisible source
         particles.forEach(particle => {
-            if (!strandGroups[particle.strand]) {
-                strandGroups[particle.strand] = [];
-            }
-            strandGroups[particle.strand].push(particle);
+            const instance = baseSphere.createInstance(`nucleotide_${particle.index}`);
+
+            instance.position = this.displayPositions[particle.index].clone();
+            instance.scaling = new BABYLON.Vector3(
+                particle.radius,
+                particle.radius,
+                particle.radius
+            );
+
+            const color = colors[particle.index];
+            instance.instancedBuffers.color = new BABYLON.Color4(color.r, color.g, color.b, 1);
+
+            // Store particle data for selection
+            instance.metadata = { particle };
+
+            this.nucleotideInstances.push(instance);
+            this.instanceByIndex[particle.index] = instance;
+        });
+    }
+
+    /**
+     * Render all nucleotides as thin instances. Matrices and colors are kept per particle
+     * index and copied, grouped by LOD level, into one thin-instance mesh per level.
+     */
+    renderNucleotideThinInstances(particles) {
+        const count = particles.length;
+        this.buildParticleBuffers(particles);
+
+        // Without LOD everything goes into a single medium-detail mesh
+        const levels = this.lodEnabled ? LOD_LEVELS : ['medium'];
+        levels.forEach(level => {
+            const mesh = this.createLODMesh(`nucleotides_${level}`, level, new BABYLON.Color3(1, 1, 1));
+            mesh.metadata = { lodLevel: level };
+
+            // Thin instances move every frame; skip bounding-box culling of the whole set
+            mesh.alwaysSelectAsActiveMesh = true;
+            mesh.thinInstanceEnablePicking = true;
+            this.thinLODMeshes[level] = mesh;
         });
 
-        // Create instances for each strand
-        Object.keys(strandGroups).forEach((strandId, strandIndex) => {
-            const strandParticles = strandGroups[strandId];
+        this.thinLODOrder = new Int32Array(count);
+        this.thinLODMatrices = new Float32Array(count * 16);
+        this.thinLODColors = new Float32Array(count * 4);
+        this.updateThinLOD(true);
+
+        // Re-bucket when the camera moves
+        if (this.lodEnabled && !this.lodObserver) {
+            this.lodObserver = this.scene.onBeforeRenderObservable.add(() => this.updateThinLOD(false));
+        }
+
+        if (BABYLON.GPUPicker) {
+            if (!this.gpuPicker) {
+                this.gpuPicker = new BABYLON.GPUPicker();
+            }
+            this.gpuPicker.setPickingList(Object.values(this.thinLODMeshes));
+        }
+    }
+
+    /**
+     * Render nucleotides as ray-cast sphere impostors
+     */
+    renderNucleotideImpostors(particles) {
+        this.buildParticleBuffers(particles);
+
+        const lightDirection = this.dirLight ? this.dirLight.direction : new BABYLON.Vector3(-1, -2, -1);
+        this.impostors = new SphereImpostors(this.scene);
+        this.impostors.build(this.particleMatrices, this.particleColors, lightDirection.normalizeToNew());
+    }
+
+    /**
+     * Fill per-particle matrices (unit sphere scaled by radius, moved to the display position)
+     * and colors for the thin-instance and impostor paths
+     */
+    buildParticleBuffers(particles) {
+        const count = particles.length;
+        const colors = this.getParticleColors(particles);
+
+        this.particleMatrices = new Float32Array(count * 16);
+        this.particleColors = new Float32Array(count * 4);
+
+        particles.forEach((particle, i) => {
+            const m = i * 16;
+            const position = this.displayPositions[particle.index];
+
+            // Uniform scale by radius (zero when hidden) plus translation
+            const scale = this.isParticleHidden(particle.index) ? 0 : particle.radius;
+            this.particleMatrices[m] = scale;
+            this.particleMatrices[m + 5] = scale;
+            this.particleMatrices[m + 10] = scale;
+            this.particleMatrices[m + 12] = position.x;
+            this.particleMatrices[m + 13] = position.y;
+            this.particleMatrices[m + 14] = position.z;
+            this.particleMatrices[m + 15] = 1;
+
+            const color = colors[particle.index];
+            this.particleColors.set([color.r, color.g, color.b, 1], i * 4);
+        });
+    }
 
-            // Create base sphere (will be instanced)
-            const baseSphere = BABYLON.MeshBuilder.CreateSphere(
-                `nucleotide_strand_${strandId}`,
-                { diameter: 1, segments: 12 },
+    /**
+     * Create a unit sphere tessellated for an LOD level, or a single-vertex point mesh for 'points'
+     */
+    createLODMesh(name, level, color) {
+        if (level !== 'points') {
+            const mesh = BABYLON.MeshBuilder.CreateSphere(
+                name,
+                { diameter: 1, segments: this.lodCalculator.getSubdivisions(level) },
                 this.scene
             );
 
-            // Create material for this strand
-            const material = new BABYLON.PBRMaterial(`strandMat_${strandId}`, this.scene);
+            const material = new BABYLON.PBRMaterial(`${name}_mat`, this.scene);
             material.metallic = 0.0;
             material.roughness = 0.4;
+            material.albedoColor = color;
+            mesh.material = material;
+            return mesh;
+        }
 
-            // Use color based on strand or patches
-            const particleColor = this.getParticleColor(strandParticles[0], strandIndex);
-            material.albedoColor = particleColor;
+        const mesh = new BABYLON.Mesh(name, this.scene);
+        const vertexData = new BABYLON.VertexData();
+        vertexData.positions = [0, 0, 0];
+        vertexData.indices = [0];
+        vertexData.applyToMesh(mesh);
 
-            baseSphere.material = material;
+        // Points are unlit; instance colors multiply the diffuse color
+        const material = new BABYLON.StandardMaterial(`${name}_mat`, this.scene);
+        material.pointsCloud = true;
+        material.pointSize = this.pointSize;
+        material.disableLighting = true;
+        material.diffuseColor = color;
+        mesh.material = material;
+        return mesh;
+    }
 
-            // IMPORTANT: Disable source mesh but keep it for instancing
-            baseSphere.isVisible = false;
+    /**
+     * Sort thin instances into LOD buckets by camera distance and upload each bucket.
+     * Unless forced, runs at most every 150 ms and only after the camera has moved.
+     */
+    updateThinLOD(force) {
+        const meshes = this.thinLODMeshes;
+        const levels = Object.keys(meshes);
+        if (levels.length === 0 || !this.particleMatrices) return;
+
+        const cameraPosition = this.camera.position;
+        if (!force) {
+            const now = performance.now();
+            const moved = !this.lastLODCameraPosition || !cameraPosition.equalsWithEpsilon(this.lastLODCameraPosition, 1e-3);
+            if (!moved || now - this.lastLODUpdate < 150) return;
+            this.lastLODUpdate = now;
+        }
+        this.lastLODCameraPosition = cameraPosition.clone();
+
+        const matrices = this.particleMatrices;
+        const count = matrices.length / 16;
+
+        // Level of every particle, then a counting sort into one array ordered by level.
+        // Hidden particles get no level and are left out.
+        const hidden = this.hiddenParticles;
+        const levelOf = new Uint8Array(count);
+        const levelCounts = new Int32Array(levels.length);
+        if (levels.length > 1) {
+            for (let i = 0; i < count; i++) {
+                if (hidden && hidden[i]) {
+                    levelOf[i] = HIDDEN_LEVEL;
+                    continue;
+                }
+                const dx = matrices[i * 16 + 12] - cameraPosition.x;
+                const dy = matrices[i * 16 + 13] - cameraPosition.y;
+                const dz = matrices[i * 16 + 14] - cameraPosition.z;
+                levelOf[i] = LOD_LEVELS.indexOf(this.lodCalculator.getLODLevel(Math.sqrt(dx * dx + dy * dy + dz * dz)));
+                levelCounts[levelOf[i]]++;
+            }
+        } else {
+            for (let i = 0; i < count; i++) {
+                if (hidden && hidden[i]) {
+                    levelOf[i] = HIDDEN_LEVEL;
+                } else {
+                    levelCounts[0]++;
+                }
+            }
+        }
 
-            // Create instances - treat ALL particles as instances of the invisible source
-            strandParticles.forEach(particle => {
-                const instance = baseSphere.createInstance(`nucleotide_${particle.index}`);
+        const starts = new Int32Array(levels.length);
+        for (let l = 1; l < levels.length; l++) {
+            starts[l] = starts[l - 1] + levelCounts[l - 1];
+        }
 
-                instance.position = particle.position.clone();
-                instance.scaling = new BABYLON.Vector3(
-                    particle.radius,
-                    particle.radius,
-                    particle.radius
-                );
+        const cursor = starts.slice();
+        for (let i = 0; i < count; i++) {
+            if (levelOf[i] === HIDDEN_LEVEL) continue;
+            const slot = cursor[levelOf[i]]++;
+            this.thinLODOrder[slot] = i;
+            this.thinLODMatrices.set(matrices.subarray(i * 16, i * 16 + 16), slot * 16);
+            this.thinLODColors.set(this.particleColors.subarray(i * 4, i * 4 + 4), slot * 4);
+        }
 
-                // Store particle data for selection
-                instance.metadata = { particle };
+        levels.forEach((level, l) => {
+            const start = starts[l];
+            const end = start + levelCounts[l];
+            const mesh = meshes[level];
 
-                this.nucleotideInstances.push(instance);
-            });
+            this.thinLODIndices[level] = this.thinLODOrder.subarray(start, end);
+            mesh.thinInstanceSetBuffer('matrix', this.thinLODMatrices.subarray(start * 16, end * 16), 16, false);
+            mesh.thinInstanceSetBuffer('color', this.thinLODColors.subarray(start * 4, end * 4), 4, false);
+            mesh.setEnabled(end > start);
         });
     }
 
     /**
-     * Get color for a particle based on patches or strand
+     * Number of particles currently drawn at each LOD level, or null when LOD is off
      */
-    getParticleColor(particle, strandIndex) {
-        // Try to get color from first patch
-        if (particle.patches && particle.patches.length > 0) {
-            const firstPatch = particle.patches[0];
-            return this.colorMapper.getColor3(firstPatch.color);
-        }
+    getLODCounts() {
+        if (!this.data || !this.lodEnabled || this.activeParticleMode === 'impostors') return null;
 
-        // Otherwise use strand-based color
-        const hue = (strandIndex * 0.618033988749895) % 1.0; // Golden ratio for color distribution
-        return BABYLON.Color3.FromHSV(hue * 360, 0.7, 0.9);
+        const counts = { high: 0, medium: 0, low: 0, points: 0 };
+        if (this.activeParticleMode === 'thin') {
+            LOD_LEVELS.forEach(level => {
+                counts[level] = this.thinLODIndices[level] ? this.thinLODIndices[level].length : 0;
+            });
+        } else {
+            // Instances choose their level by distance from the camera to their center
+            const cameraPosition = this.camera.position;
+            this.displayPositions.forEach(position => {
+                counts[this.lodCalculator.getLODLevel(BABYLON.Vector3.Distance(cameraPosition, position))]++;
+            });
+        }
+        return counts;
     }
 
     /**
-     * Render bonds between nucleotides
+     * Enable or disable distance-based level of detail
      */
-    renderBonds(bonds, particles) {
-        if (bonds.length === 0) return;
-
-        // Use a single line system for all bonds for better performance
-        const points = [];
-        const colors = [];
+    setLODEnabled(enabled) {
+        this.lodEnabled = enabled;
+        this.rebuildNucleotides();
+    }
 
-        bonds.forEach(bond => {
-            const fromParticle = particles[bond.from];
-            const toParticle = particles[bond.to];
+    /**
+     * Set the camera distances at which particles drop to medium, low and point detail
+     */
+    setLODThresholds(thresholds) {
+        this.lodCalculator.setThresholds(thresholds);
+        this.rebuildNucleotides();
+    }
 
-            if (fromParticle && toParticle) {
-                points.push([fromParticle.position, toParticle.position]);
+    /**
+     * Dispose nucleotide meshes of either rendering path
+     */
+    disposeNucleotides() {
+        // Disposing a source sphere also disposes its instances
+        this.nucleotideSourceMeshes.forEach(mesh => mesh.dispose(false, true));
+        this.nucleotideSourceMeshes = [];
+        this.nucleotideInstances = [];
+        this.instanceByIndex = [];
 
-                // Color based on spring properties if available
-                const color = new BABYLON.Color4(0.5, 0.5, 0.5, 0.6);
-                colors.push([color, color]);
-            }
-        });
+        this.lodMeshes.forEach(mesh => mesh.dispose(false, true));
+        this.lodMeshes = [];
 
-        // Create line system
-        if (points.length > 0) {
-            const lineSystem = BABYLON.MeshBuilder.CreateLineSystem(
-                'bonds',
-                { lines: points, colors: colors },
-                this.scene
-            );
-            lineSystem.isPickable = false;
-            this.bondMeshes.push(lineSystem);
+        if (this.gpuPicker) {
+            this.gpuPicker.clearPickingList();
         }
-        if (points.length > 0) {
-            const lineSystem = BABYLON.MeshBuilder.CreateLineSystem(
-                'bonds',
-                { lines: points, colors: colors },
-                this.scene
-            );
-            lineSystem.isPickable = false;
-            this.bondMeshes.push(lineSystem);
+        Object.values(this.thinLODMeshes).forEach(mesh => mesh.dispose(false, true));
+        this.thinLODMeshes = {};
+        this.thinLODIndices = {};
+        this.thinLODOrder = null;
+        this.thinLODMatrices = null;
+        this.thinLODColors = null;
+        this.particleMatrices = null;
+        this.particleColors = null;
+
+        if (this.lodObserver) {
+            this.scene.onBeforeRenderObservable.remove(this.lodObserver);
+            this.lodObserver = null;
+        }
+        this.lastLODCameraPosition = null;
+
+        if (this.impostors) {
+            this.impostors.dispose();
+            this.impostors = null;
         }
     }
 
     /**
-     * Render simulation bounding box
+     * Rebuild the particle meshes, e.g. after a rendering option changed
      */
-    renderBoundingBox(box) {
-        if (!box) return;
-
-        // Create box mesh
-        this.boxMesh = BABYLON.MeshBuilder.CreateBox('simulationBox', {
-            width: box.x,
-            height: box.y,
-            depth: box.z
-        }, this.scene);
-
-        // Position at center (0 to L) => center at L/2
-        this.boxMesh.position = new BABYLON.Vector3(box.x / 2, box.y / 2, box.z / 2);
+    rebuildNucleotides() {
+        if (!this.data) return;
 
-        // Create wireframe material
-        const material = new BABYLON.StandardMaterial('boxMat', this.scene);
-        material.diffuseColor = new BABYLON.Color3(1.0, 1.0, 1.0);
-        material.emissiveColor = new BABYLON.Color3(0.5, 0.5, 0.5);
-        material.wireframe = true;
-        material.disableLighting = true;
+        this.disposeNucleotides();
+        this.renderNucleotides(this.data.particles);
+        this.applyParticleVisibility();
+    }
 
-        this.boxMesh.material = material;
-        this.boxMesh.isPickable = false;
+    /**
+     * Choose between 'auto', 'instances' and 'thin' particle rendering and rebuild the particles
+     */
+    setParticleRenderMode(mode) {
+        this.particleRenderMode = mode;
+        this.rebuildNucleotides();
     }
 
     /**
-     * Clear all meshes from scene
+     * Enable or disable sphere impostors in place of sphere meshes
      */
-    clearScene() {
-        // Dispose nucleotide instances
-        this.nucleotideInstances.forEach(instance => instance.dispose());
-        this.nucleotideInstances = [];
+    setImpostorMode(enabled) {
+        this.useImpostors = enabled;
+        this.rebuildNucleotides();
+    }
 
-        // Dispose bonds
-        this.bondMeshes.forEach(mesh => mesh.dispose());
-        this.bondMeshes = [];
+    /**
+     * Color of every particle (indexed by particle index) under the active color scheme.
+     * Also records the matching legend.
+     */
+    getParticleColors(particles) {
+        const scheme = COLOR_SCHEMES[this.colorScheme];
+
+        if (scheme.type === 'continuous') {
+            const values = this.getParticleValues(particles);
+            let min = Infinity;
+            let max = -Infinity;
+            values.forEach(v => {
+                if (Number.isFinite(v)) {
+                    min = Math.min(min, v);
+                    max = Math.max(max, v);
+                }
+            });
+            if (min > max) {
+                min = max = 0;
+            }
 
-        // Dispose patches
-        this.patchMeshes.forEach(mesh => mesh.dispose());
-        this.patchMeshes = [];
+            const span = max - min;
+            this.particleColorLegend = { title: scheme.title, min, max, colorScale: this.particleColorScale };
+            return values.map(v => Number.isFinite(v)
+                ? this.particleColorScale.getColor(span > 0 ? (v - min) / span : 0.5)
+                : MISSING_VALUE_COLOR);
+        }
 
-        // Dispose selection meshes
-        this.selectionMeshes.forEach(mesh => mesh.dispose());
-        this.selectionMeshes.clear();
+        // Categories get palette colors in order of first appearance; patch colors come from the topology
+        const categories = new Map();
+        let paletteIndex = 0;
+        const categoryColor = (key, label, fixedColor = null) => {
+            if (!categories.has(key)) {
+                categories.set(key, { label, color: fixedColor || this.categoryPalette.getColor(paletteIndex++) });
+            }
+            return categories.get(key).color;
+        };
 
-        // Dispose box mesh
-        if (this.boxMesh) {
-            this.boxMesh.dispose();
-            this.boxMesh = null;
+        // Clusters take palette colors from the largest down; single particles share one gray
+        let clusters = null;
+        if (this.colorScheme === 'cluster') {
+            clusters = this.getClusters();
+            if (clusters.sizes.includes(1)) {
+                categoryColor('cluster:single', 'Single particles', MISSING_VALUE_COLOR);
+            }
+            clusters.sizes.forEach((size, cluster) => {
+                if (size > 1) categoryColor(`cluster:${cluster}`, `Cluster ${cluster} (${size})`);
+            });
         }
+
+        const colors = new Array(particles.length);
+        particles.forEach(particle => {
+            let color;
+            if (clusters) {
+                const cluster = clusters.labels[particle.index];
+                color = categoryColor(clusters.sizes[cluster] > 1 ? `cluster:${cluster}` : 'cluster:single');
+            } else if (this.colorScheme === 'type') {
+                color = categoryColor(`type:${particle.type}`, `Type ${particle.type}`);
+            } else if (this.colorScheme === 'patch' && particle.patches && particle.patches.length > 0) {
+                const code = particle.patches[0].color;
+                color = categoryColor(`patch:${code}`, `Patch color ${code}`, this.colorMapper.getColor(code));
+            } else {
+                color = categoryColor(`strand:${particle.strand}`, `Strand ${particle.strand}`,
+                    this.colorMapper.getStrandColor(particle.strand));
+            }
+            colors[particle.index] = color;
+        });
+
+        this.particleColorLegend = { title: scheme.title, entries: [...categories.values()] };
+        return colors;
     }
 
     /**
-     * Highlight selected nucleotide
+     * Color of every loaded strand under the strand scheme, keyed by strand id. Strands without a
+     * user color take palette colors in order of first appearance, as in getParticleColors.
      */
-    highlightNucleotide(particleIndex, highlight = true) {
-        // If unhighlighting
-        if (!highlight) {
-            const mesh = this.selectionMeshes.get(particleIndex);
-            if (mesh) {
-                mesh.dispose();
-                this.selectionMeshes.delete(particleIndex);
+    getStrandColors() {
+        const colors = new Map();
+        if (!this.data) return colors;
+
+        let paletteIndex = 0;
+        this.data.particles.forEach(particle => {
+            if (colors.has(particle.strand)) return;
+            colors.set(particle.strand,
+                this.colorMapper.getStrandColor(particle.strand) || this.categoryPalette.getColor(paletteIndex++));
+        });
+        return colors;
+    }
+
+    /**
+     * Value of the active continuous color scheme for every particle (indexed by particle index)
+     */
+    getParticleValues(particles) {
+        const values = new Float64Array(particles.length);
+
+        switch (this.colorScheme) {
+            case 'mass':
+            case 'radius':
+                particles.forEach(p => { values[p.index] = p[this.colorScheme]; });
+                break;
+            case 'speed':
+                particles.forEach(p => { values[p.index] = p.velocity.length(); });
+                break;
+            case 'strandPosition': {
+                // Topology order within each strand, scaled to 0..1
+                const lengths = new Map();
+                particles.forEach(p => lengths.set(p.strand, (lengths.get(p.strand) || 0) + 1));
+                const seen = new Map();
+                particles.forEach(p => {
+                    const position = seen.get(p.strand) || 0;
+                    const length = lengths.get(p.strand);
+                    values[p.index] = length > 1 ? position / (length - 1) : 0;
+                    seen.set(p.strand, position + 1);
+                });
+                break;
             }
-            return;
+            case 'energy':
+                // Each bond's spring energy is split evenly between its two particles
+                this.data.bonds.forEach(bond => {
+                    const { energy } = this.getBondMetrics(bond);
+                    if (!Number.isFinite(energy)) return;
+                    values[bond.from] += energy / 2;
+                    values[bond.to] += energy / 2;
+                });
+                break;
         }
 
-        // If already highlighted, do nothing
-        if (this.selectionMeshes.has(particleIndex)) return;
+        return Array.from(values);
+    }
 
-        // Find the particle instance to get position
-        const instance = this.nucleotideInstances.find(
-            inst => inst.metadata && inst.metadata.particle.index === particleIndex
-        );
+    /**
+     * Recolor the existing particles with the active color scheme
+     */
+    applyParticleColors() {
+        if (!this.data) return;
 
-        if (instance) {
-            // Create a proxy mesh for the highlight
-            const highlightMesh = BABYLON.MeshBuilder.CreateSphere(
-                `highlight_${particleIndex}`,
-                { diameter: 1, segments: 12 },
-                this.scene
-            );
+        const colors = this.getParticleColors(this.data.particles);
 
-            // Match position and scale
-            highlightMesh.position = instance.position.clone();
-            highlightMesh.scaling = instance.scaling.clone();
+        if (this.particleColors) {
+            colors.forEach((color, i) => {
+                this.particleColors.set([color.r, color.g, color.b, 1], i * 4);
+            });
 
-            // Make invisible but render outline
-            // We need a dummy material to avoid default white
-            const invisibleMat = new BABYLON.StandardMaterial(`invisibleMat_${particleIndex}`, this.scene);
-            invisibleMat.alpha = 0;
-            highlightMesh.material = invisibleMat;
+            if (this.impostors) {
+                this.impostors.updateColors();
+            } else {
+                this.updateThinLOD(true);
+            }
+        } else {
+            this.instanceByIndex.forEach((instance, particleIndex) => {
+                const color = colors[particleIndex];
+                instance.instancedBuffers.color = new BABYLON.Color4(color.r, color.g, color.b, 1);
+            });
+        }
+    }
 
-            highlightMesh.renderOutline = true;
-            highlightMesh.outlineColor = new BABYLON.Color3(1, 0.8, 0); // Yellow
-            highlightMesh.outlineWidth = 0.1;
+    /**
+     * Redraw particle and patch colors after the color mapper's palette was edited
+     */
+    refreshColors() {
+        this.applyParticleColors();
+        this.updatePatchColors();
+    }
 
-            // Prevent picking the highlight mesh itself
-            highlightMesh.isPickable = false;
+    /**
+     * Color particles by one of the COLOR_SCHEMES
+     */
+    setColorScheme(scheme) {
+        this.colorScheme = COLOR_SCHEMES[scheme] ? scheme : 'patch';
+        this.applyParticleColors();
+    }
 
-            this.selectionMeshes.set(particleIndex, highlightMesh);
+    /**
+     * Clusters of the current frame, joined by bonds and by center distances up to the cluster cutoff
+     */
+    getClusters() {
+        if (!this.clusters && this.data) {
+            this.clusters = ClusterAnalysis.compute(this.data, this.clusterCutoff);
         }
+        return this.clusters;
     }
 
     /**
-     * Get particle at screen position (for picking)
+     * Set the distance cutoff that joins unbonded particles into clusters (0 = bonds only)
      */
-    pickParticle(x, y) {
-        const pickInfo = this.scene.pick(x, y, mesh => {
-            return this.nucleotideInstances.includes(mesh);
-        });
-
-        if (pickInfo.hit && pickInfo.pickedMesh && pickInfo.pickedMesh.metadata) {
-            return pickInfo.pickedMesh.metadata.particle;
+    setClusterCutoff(cutoff) {
+        this.clusterCutoff = Math.max(0, cutoff) || 0;
+        this.clusters = null;
+        if (this.colorScheme === 'cluster') {
+            this.applyParticleColors();
         }
-
-        return null;
     }
 
     /**
-     * Export current view as image
+     * Whether the active color scheme is 'discrete' or 'continuous'
      */
-    async exportImage(width = 1920, height = 1080) {
-        return new Promise((resolve) => {
-            BABYLON.Tools.CreateScreenshot(this.engine, this.camera, { width, height }, (data) => {
-                resolve(data);
-            });
-        });
+    getColorSchemeType() {
+        return COLOR_SCHEMES[this.colorScheme].type;
     }
 
     /**
-     * Set camera speed properties
-     * speed: 1-100
+     * Set the palette for the active color scheme: a CategoryPalette name for discrete
+     * schemes, a ColorScale name for continuous ones
      */
-    setCameraSpeed(speed) {
-        if (!this.camera) return;
+    setColorPalette(palette) {
+        if (this.getColorSchemeType() === 'discrete') {
+            this.categoryPalette.setPalette(palette);
+        } else {
+            this.particleColorScale.setPalette(palette);
+        }
+        this.applyParticleColors();
+    }
 
-        // Base values
-        const basePanning = 50;
-        const baseWheel = 50;
+    /**
+     * Legend for the particle colors: a continuous range, or a list of categories
+     */
+    getParticleColorLegend() {
+        if (!this.data || !this.particleColorLegend) return null;
 
-        // Calculate multipliers (speed 50 is default/1x)
-        const factor = speed / 50;
+        const legend = this.particleColorLegend;
+        if (!legend.entries || legend.entries.length <= MAX_LEGEND_ENTRIES) return legend;
 
-        this.camera.panningSensibility = basePanning / factor; // Higher sensibility value = slower speed
-        this.camera.wheelPrecision = baseWheel / factor; // Higher precision = slower speed
-        this.camera.angularSensibilityX = 1000 / factor;
-        this.camera.angularSensibilityY = 1000 / factor;
+        return {
+            title: legend.title,
+            entries: legend.entries.slice(0, MAX_LEGEND_ENTRIES),
+            more: legend.entries.length - MAX_LEGEND_ENTRIES
+        };
     }
 
     /**
-     * Shift particles (move box state)
+     * Render bonds between nucleotides
      */
-    shiftParticles(axis, amount) {
-        if (!this.data || !this.data.metadata.box) return;
+    renderBonds(bonds) {
+        if (bonds.length === 0) return;
 
-        if (axis === 'x') this.boxOffset.x += amount;
-        if (axis === 'y') this.boxOffset.y += amount;
-        if (axis === 'z') this.boxOffset.z += amount;
+        if (this.bondMode === 'cylinders') {
+            this.renderBondCylinders(bonds);
+            return;
+        }
 
-        this.updateParticlePositions();
+        // Use a single line system for all bonds for better performance
+        const { points, colors } = this.getBondLines(bonds);
+
+        // Create line system (updatable so frames and box shifts can move it in place)
+        this.bondSegmentCount = points.length;
+        if (points.length > 0) {
+            const lineSystem = BABYLON.MeshBuilder.CreateLineSystem(
+                'bonds',
+                { lines: points, colors: colors, updatable: true },
+                this.scene
+            );
+            lineSystem.isPickable = false;
+            this.bondMeshes.push(lineSystem);
+        }
     }
 
     /**
-     * Update particle positions based on PBC and offset
+     * Render bonds as instanced cylinders with per-instance colors
      */
-    updateParticlePositions() {
-        if (!this.data || !this.data.metadata.box) return;
+    renderBondCylinders(bonds) {
+        const source = BABYLON.MeshBuilder.CreateCylinder(
+            'bond_cylinder',
+            { height: 1, diameter: 1, tessellation: 8 },
+            this.scene
+        );
+        source.registerInstancedBuffer(BABYLON.VertexBuffer.ColorKind, 4);
+        source.instancedBuffers.color = new BABYLON.Color4(0.5, 0.5, 0.5, 1.0);
 
-        const box = this.data.metadata.box;
+        // White base color so the per-instance color shows through
+        const material = new BABYLON.StandardMaterial('bondCylinderMat', this.scene);
+        material.diffuseColor = new BABYLON.Color3(1.0, 1.0, 1.0);
+        material.specularColor = new BABYLON.Color3(0.2, 0.2, 0.2);
 
-        // Helper for wrapping
-        const wrap = (val, max) => {
-            let res = val % max;
-            if (res < 0) res += max;
-            return res;
-        };
+        source.material = material;
+        source.isVisible = false;
+        source.isPickable = false;
+        this.bondMeshes.push(source);
 
-        // Update each particle instance
-        this.nucleotideInstances.forEach((instance, i) => {
-            const originalPos = this.originalParticlePositions[i];
+        this.updateBondCylinders(this.getBondSegments(bonds), this.getBondColors(bonds));
+    }
 
-            // Calculate new position
-            const newX = wrap(originalPos.x + this.boxOffset.x, box.x);
-            const newY = wrap(originalPos.y + this.boxOffset.y, box.y);
-            const newZ = wrap(originalPos.z + this.boxOffset.z, box.z);
+    /**
+     * Build the drawn segments of every bond from the current display positions.
+     * Bonds whose drawn span is not their minimum image are split into two halves
+     * that run from each particle towards its partner's nearest image, ending at the box faces.
+     */
+    getBondSegments(bonds) {
+        const segments = [];
+        const box = this.data.metadata.box;
+        const splitBonds = this.splitBondsAtBoundary && PBCUtils.hasBox(box);
+        const particles = this.data.particles;
+
+        bonds.forEach((bond, bondIndex) => {
+            const fromPosition = this.displayPositions[bond.from];
+            const toPosition = this.displayPositions[bond.to];
+            if (!fromPosition || !toPosition) return;
+            if (this.isParticleHidden(bond.from) || this.isParticleHidden(bond.to)) return;
+
+            const radius = Math.min(particles[bond.from].radius, particles[bond.to].radius) * this.bondRadiusScale;
+            const delta = toPosition.subtract(fromPosition);
+            const imageDelta = splitBonds ? PBCUtils.minimumImage(delta, box) : delta;
+
+            if (delta.subtract(imageDelta).lengthSquared() < 1e-6) {
+                segments.push({ bondIndex, from: fromPosition, to: toPosition, radius });
+                return;
+            }
 
-            instance.position.x = newX;
-            instance.position.y = newY;
-            instance.position.z = newZ;
+            // Particles outside the box have no face to stop at; fall back to drawing half the bond
+            const clip = (start, direction) => {
+                const t = PBCUtils.exitFraction(start, direction, box);
+                return start.add(direction.scale(t > 0 && t <= 1 ? t : 0.5));
+            };
 
-            // Update associated selection mesh if exists
-            const particleIndex = instance.metadata.particle.index;
-            if (this.selectionMeshes.has(particleIndex)) {
-                const selMesh = this.selectionMeshes.get(particleIndex);
-                selMesh.position.copyFrom(instance.position);
-            }
+            segments.push(
+                { bondIndex, from: fromPosition, to: clip(fromPosition, imageDelta), radius },
+                { bondIndex, from: toPosition, to: clip(toPosition, imageDelta.negate()), radius }
+            );
         });
 
-        // Update bond positions
-        // We need to rebuild the line system or update its vertices
-        if (this.bondMeshes.length > 0) {
-            // Gather new points
-            const points = [];
-            this.data.bonds.forEach(bond => {
-                const fromParticle = this.nucleotideInstances.find(inst => inst.metadata.particle.index === bond.from);
-                const toParticle = this.nucleotideInstances.find(inst => inst.metadata.particle.index === bond.to);
-
-                if (fromParticle && toParticle) {
-                    points.push([fromParticle.position, toParticle.position]);
-                }
+        return segments;
+    }
+
+    /**
+     * Build bond line segments and colors from the current display positions
+     */
+    getBondLines(bonds) {
+        const bondColors = this.getBondColors(bonds);
+        const points = [];
+        const colors = [];
+
+        this.getBondSegments(bonds).forEach(segment => {
+            const color = bondColors[segment.bondIndex];
+            points.push([segment.from, segment.to]);
+            colors.push([color, color]);
+        });
+
+        return { points, colors };
+    }
+
+    /**
+     * Current length, strain (r - r0) / r0 and spring energy ½k(r - r0)² of a bond
+     */
+    getBondMetrics(bond) {
+        const box = this.data.metadata.box;
+        const from = this.originalParticlePositions[bond.from];
+        const to = this.originalParticlePositions[bond.to];
+        const length = PBCUtils.hasBox(box)
+            ? PBCUtils.minimumImageDistance(from, to, box)
+            : BABYLON.Vector3.Distance(from, to);
+
+        if (!bond.spring) {
+            return { length, strain: NaN, energy: NaN };
+        }
+
+        const { stiffness, restLength } = bond.spring;
+        const stretch = length - restLength;
+
+        return {
+            length,
+            strain: restLength > 0 ? stretch / restLength : NaN,
+            energy: 0.5 * stiffness * stretch * stretch
+        };
+    }
+
+    /**
+     * Color for each bond according to the bond color mode
+     */
+    getBondColors(bonds) {
+        const uniformColor = new BABYLON.Color4(0.5, 0.5, 0.5, 0.6);
+
+        if (this.bondColorMode === 'uniform') {
+            this.bondRange = null;
+            return bonds.map(() => uniformColor);
+        }
+
+        const values = bonds.map(bond => this.getBondMetrics(bond)[this.bondColorMode]);
+        const maxAbs = values.reduce((max, v) => Number.isFinite(v) ? Math.max(max, Math.abs(v)) : max, 0);
+
+        // Strain is signed, so center the diverging scale on zero
+        let normalize;
+        if (this.bondColorMode === 'strain') {
+            this.bondRange = { min: -maxAbs, max: maxAbs };
+            normalize = v => maxAbs > 0 ? (v + maxAbs) / (2 * maxAbs) : 0.5;
+        } else {
+            this.bondRange = { min: 0, max: maxAbs };
+            normalize = v => maxAbs > 0 ? v / maxAbs : 0;
+        }
+
+        return values.map(v => Number.isFinite(v) ? this.bondColorScale.getColor4(normalize(v), 0.9) : uniformColor);
+    }
+
+    /**
+     * Move the existing bonds to the current display positions
+     */
+    updateBonds() {
+        if (this.bondMeshes.length === 0) return;
+
+        if (this.bondMode === 'cylinders') {
+            this.updateBondCylinders(this.getBondSegments(this.data.bonds), this.getBondColors(this.data.bonds));
+            return;
+        }
+
+        const { points, colors } = this.getBondLines(this.data.bonds);
+
+        // Split bonds change the segment count, which a line system cannot update in place
+        if (points.length !== this.bondSegmentCount) {
+            this.disposeBonds();
+            this.renderBonds(this.data.bonds);
+            return;
+        }
+
+        BABYLON.MeshBuilder.CreateLineSystem(
+            'bonds',
+            { lines: points, colors: colors, instance: this.bondMeshes[0] }
+        );
+    }
+
+    /**
+     * Fit the cylinder instance pool to the segments and place each instance
+     */
+    updateBondCylinders(segments, bondColors) {
+        const source = this.bondMeshes[0];
+
+        while (this.bondInstances.length < segments.length) {
+            const instance = source.createInstance(`bond_${this.bondInstances.length}`);
+            instance.isPickable = false;
+            instance.rotationQuaternion = new BABYLON.Quaternion();
+            this.bondInstances.push(instance);
+        }
+        while (this.bondInstances.length > segments.length) {
+            this.bondInstances.pop().dispose();
+        }
+
+        const up = BABYLON.Vector3.Up();
+        segments.forEach((segment, i) => {
+            const instance = this.bondInstances[i];
+            const direction = segment.to.subtract(segment.from);
+            const length = direction.length();
+
+            instance.position = BABYLON.Vector3.Center(segment.from, segment.to);
+            if (length > 0) {
+                BABYLON.Quaternion.FromUnitVectorsToRef(up, direction.scale(1 / length), instance.rotationQuaternion);
+            }
+            instance.scaling = new BABYLON.Vector3(segment.radius * 2, length, segment.radius * 2);
+            instance.instancedBuffers.color = bondColors[segment.bondIndex];
+        });
+    }
+
+    /**
+     * Switch between cheap 'lines' and instanced 'cylinders' bonds
+     */
+    setBondMode(mode) {
+        this.bondMode = mode === 'cylinders' ? 'cylinders' : 'lines';
+        this.disposeBonds();
+
+        if (this.data) {
+            this.renderBonds(this.data.bonds);
+        }
+    }
+
+    /**
+     * Color bonds 'uniform', by 'strain' or by spring 'energy'
+     */
+    setBondColorMode(mode) {
+        this.bondColorMode = ['strain', 'energy'].includes(mode) ? mode : 'uniform';
+        this.bondColorScale.setPalette(this.bondColorMode === 'strain' ? 'coolwarm' : 'plasma');
+        this.updateBonds();
+    }
+
+    /**
+     * Enable or disable splitting bonds that cross the periodic box
+     */
+    setSplitBondsAtBoundary(enabled) {
+        this.splitBondsAtBoundary = enabled;
+        this.updateBonds();
+    }
+
+    /**
+     * Legend description for colored bonds, or null for uniform bonds
+     */
+    getBondLegend() {
+        if (!this.bondRange || this.bondMeshes.length === 0) return null;
+
+        return {
+            title: this.bondColorMode === 'strain' ? 'Bond strain (r − r0) / r0' : 'Spring energy ½k(r − r0)²',
+            min: this.bondRange.min,
+            max: this.bondRange.max,
+            colorScale: this.bondColorScale
+        };
+    }
+
+    /**
+     * Dispose bond meshes (disposing the cylinder source also disposes its instances)
+     */
+    disposeBonds() {
+        this.bondMeshes.forEach(mesh => mesh.dispose(false, true));
+        this.bondMeshes = [];
+        this.bondInstances = [];
+    }
+
+    /**
+     * Render patches as instanced spheres oriented through each particle's a1/a3 frame
+     */
+    renderPatches(particles) {
+        // Strongest patch gets the full patch size
+        let maxStrength = 0;
+        particles.forEach(particle => {
+            particle.patches.forEach(patch => {
+                maxStrength = Math.max(maxStrength, patch.strength);
             });
+        });
+
+        // One source mesh per patch definition so each shares its color material
+        const sources = new Map();
 
-            // We have multiple line systems (one per batch of lines usually, but here we made all in one go or multiple)
-            // The renderBonds function creates one or more meshes.
-            // Simplest way: dispose old bonds and create new ones. Updating LineSystem instance is complex if topology differs (it shouldn't here but easier to just recreate for reliability first).
-            // Actually, LineSystem update is efficient. Let's try to update the first one if it exists, assuming all bonds are in one mesh (which they are in renderBonds unless huge).
-
-            // Re-creating is safer to avoid "lines mismatch" errors if logic was complex.
-            // Let's defer to clearing and re-rendering bonds.
-            this.bondMeshes.forEach(m => m.dispose());
-            this.bondMeshes = [];
-
-            // Re-render bonds with current positions
-            // We can't reuse renderBonds easily because it uses original data which has original positions.
-            // We need to use the INSTANCE positions.
-
-            const colors = [];
-            // Re-create points array from current instance positions
-            this.data.bonds.forEach(bond => {
-                const colorsForBond = [];
-                const color = new BABYLON.Color4(0.5, 0.5, 0.5, 0.6);
+        particles.forEach(particle => {
+            particle.patches.forEach((patch, slot) => {
+                let source = sources.get(patch.id);
+                if (!source) {
+                    source = BABYLON.MeshBuilder.CreateSphere(
+                        `patch_source_${patch.id}`,
+                        { diameter: 1, segments: 8 },
+                        this.scene
+                    );
+
+                    const material = new BABYLON.StandardMaterial(`patchMat_${patch.id}`, this.scene);
+                    material.diffuseColor = this.colorMapper.getColor3(patch.color);
+                    material.emissiveColor = material.diffuseColor.scale(0.3);
+                    material.specularColor = new BABYLON.Color3(0.2, 0.2, 0.2);
+
+                    source.material = material;
+                    source.isVisible = false;
+                    source.isPickable = false;
+                    source.metadata = { colorCode: patch.color };
+
+                    sources.set(patch.id, source);
+                    this.patchMeshes.push(source);
+                }
+
+                const instance = source.createInstance(`patch_${particle.index}_${slot}`);
+
+                // Size by strength relative to the strongest patch
+                const strengthFactor = maxStrength > 0 ? Math.max(0.2, patch.strength / maxStrength) : 1;
+                const size = particle.radius * this.patchScale * strengthFactor;
+                instance.scaling = new BABYLON.Vector3(size, size, size);
+                instance.isPickable = false;
+                instance.isVisible = !this.isParticleHidden(particle.index);
+                instance.metadata = { particleIndex: particle.index, patch };
+
+                this.patchInstances.push(instance);
+            });
+        });
+
+        this.updatePatches();
+    }
+
+    /**
+     * Place patch instances at their oriented positions around the displayed particles
+     */
+    updatePatches() {
+        if (this.patchInstances.length === 0) return;
+
+        // Instances are created particle by particle, so reuse the orientation of consecutive patches
+        let lastParticleIndex = -1;
+        let orientation = null;
+
+        this.patchInstances.forEach(instance => {
+            const { particleIndex, patch } = instance.metadata;
+
+            if (particleIndex !== lastParticleIndex) {
+                const particle = this.data.particles[particleIndex];
+                orientation = VectorUtils.createOrientationMatrix(particle.baseVector, particle.normalVector);
+                lastParticleIndex = particleIndex;
+            }
+
+            instance.position = VectorUtils.calculatePatchPosition(
+                this.displayPositions[particleIndex],
+                patch.position,
+                orientation
+            );
+        });
+    }
+
+    /**
+     * Re-read patch colors from the color mapper
+     */
+    updatePatchColors() {
+        this.patchMeshes.forEach(source => {
+            const material = source.material;
+            material.diffuseColor = this.colorMapper.getColor3(source.metadata.colorCode);
+            material.emissiveColor = material.diffuseColor.scale(0.3);
+        });
+    }
+
+    /**
+     * Show or hide patch sites, building them on first use
+     */
+    setPatchVisibility(visible) {
+        this.showPatches = visible;
+
+        if (visible && this.patchInstances.length === 0 && this.data) {
+            this.renderPatches(this.data.particles);
+        }
+
+        this.patchInstances.forEach(instance => {
+            instance.isVisible = visible && !this.isParticleHidden(instance.metadata.particleIndex);
+        });
+    }
+
+    /**
+     * Bound patch pairs of the current frame within the patch binding cutoff
+     */
+    getPatchBindings() {
+        if (!this.patchBindings && this.data) {
+            this.patchBindings = PatchBinding.compute(this.data, this.patchBindingCutoff);
+        }
+        return this.patchBindings;
+    }
+
+    /**
+     * Set the patch-patch distance within which complementary patches bind
+     */
+    setPatchBindingCutoff(cutoff) {
+        this.patchBindingCutoff = Math.max(0, cutoff) || 0;
+        this.patchBindings = null;
+        this.renderPatchBonds();
+    }
+
+    /**
+     * Show or hide the bound patch overlay
+     */
+    setPatchBondVisibility(visible) {
+        this.showPatchBonds = visible;
+        this.renderPatchBonds();
+    }
+
+    /**
+     * Draw each bound pair as center → patch → partner patch → partner center. The partner
+     * follows the minimum image from the first patch, so pairs across a box face stay short.
+     */
+    renderPatchBonds() {
+        if (this.patchBondMesh) {
+            this.patchBondMesh.dispose();
+            this.patchBondMesh = null;
+        }
+
+        if (!this.showPatchBonds || !this.data) return;
+
+        const { sites, pairs } = this.getPatchBindings();
+        const box = this.data.metadata.box;
+        const hasBox = PBCUtils.hasBox(box);
+        const lines = [];
+        const colors = [];
+
+        pairs.forEach(({ a, b }) => {
+            const siteA = sites[a];
+            const siteB = sites[b];
+            if (this.isParticleHidden(siteA.particle) || this.isParticleHidden(siteB.particle)) return;
+
+            const particles = this.data.particles;
+            const centerA = this.displayPositions[siteA.particle];
+            const patchA = centerA.add(siteA.position.subtract(particles[siteA.particle].position));
+            const delta = siteB.position.subtract(siteA.position);
+            const patchB = patchA.add(hasBox ? PBCUtils.minimumImage(delta, box) : delta);
+            const centerB = patchB.subtract(siteB.position.subtract(particles[siteB.particle].position));
+
+            lines.push([centerA, patchA, patchB, centerB]);
+            colors.push([PATCH_BOND_COLOR, PATCH_BOND_COLOR, PATCH_BOND_COLOR, PATCH_BOND_COLOR]);
+        });
+
+        if (lines.length === 0) return;
+
+        this.patchBondMesh = BABYLON.MeshBuilder.CreateLineSystem('patchBonds', { lines, colors }, this.scene);
+        this.patchBondMesh.isPickable = false;
+    }
+
+    /**
+     * Render the enabled orientation axes (a1, a2 = a3 × a1, a3) as one line system
+     */
+    renderAxes() {
+        if (this.axisMesh) {
+            this.axisMesh.dispose();
+            this.axisMesh = null;
+        }
+
+        if (!this.data) return;
+
+        const { lines, colors } = this.getAxisLines();
+        if (lines.length === 0) return;
+
+        this.axisMesh = BABYLON.MeshBuilder.CreateLineSystem(
+            'orientationAxes',
+            { lines, colors, updatable: true },
+            this.scene
+        );
+        this.axisMesh.isPickable = false;
+    }
+
+    /**
+     * Build arrow lines for each enabled axis of every particle
+     */
+    getAxisLines() {
+        const lines = [];
+        const colors = [];
+        const axisNames = Object.keys(this.visibleAxes).filter(name => this.visibleAxes[name]);
+        if (axisNames.length === 0) return { lines, colors };
+
+        this.data.particles.forEach(particle => {
+            const origin = this.displayPositions[particle.index];
+            if (!origin || this.isParticleHidden(particle.index)) return;
+
+            const a1 = particle.baseVector;
+            const a3 = particle.normalVector;
+            const axes = { a1, a2: BABYLON.Vector3.Cross(a3, a1), a3 };
+            // Arrowheads open along the next axis of the frame
+            const headSides = { a1: axes.a2, a2: axes.a3, a3: axes.a1 };
+            const length = particle.radius * this.axisScale;
+
+            axisNames.forEach(name => {
+                const tip = origin.add(axes[name].scale(length));
+                const back = tip.subtract(axes[name].scale(length * 0.2));
+                const side = headSides[name].scale(length * 0.08);
+                const color = AXIS_COLORS[name];
+
+                lines.push([origin, tip], [tip, back.add(side)], [tip, back.subtract(side)]);
+                colors.push([color, color], [color, color], [color, color]);
+            });
+        });
+
+        return { lines, colors };
+    }
+
+    /**
+     * Move the orientation axes to the current positions and orientations
+     */
+    updateAxes() {
+        if (!this.axisMesh) return;
+
+        const { lines, colors } = this.getAxisLines();
+        BABYLON.MeshBuilder.CreateLineSystem(
+            'orientationAxes',
+            { lines, colors, instance: this.axisMesh }
+        );
+    }
+
+    /**
+     * Toggle one orientation axis ('a1', 'a2' or 'a3')
+     */
+    setAxisVisibility(axis, visible) {
+        if (!(axis in this.visibleAxes)) return;
+
+        this.visibleAxes[axis] = visible;
+        this.renderAxes();
+    }
+
+    /**
+     * Set orientation axis length relative to particle radius
+     */
+    setAxisScale(scale) {
+        this.axisScale = scale;
+        this.updateAxes();
+    }
+
+    /**
+     * Render the selected vector field as magnitude-scaled, magnitude-colored arrows
+     */
+    renderVectorField() {
+        if (this.vectorFieldMesh) {
+            this.vectorFieldMesh.dispose();
+            this.vectorFieldMesh = null;
+        }
+
+        if (!this.data || !VECTOR_FIELDS[this.vectorField]) return;
+
+        const { lines, colors } = this.getVectorFieldLines();
+        if (lines.length === 0) return;
+
+        this.vectorFieldMesh = BABYLON.MeshBuilder.CreateLineSystem(
+            'vectorField',
+            { lines, colors, updatable: true },
+            this.scene
+        );
+        this.vectorFieldMesh.isPickable = false;
+    }
+
+    /**
+     * Build arrow lines for the selected vector field and record its magnitude range
+     */
+    getVectorFieldLines() {
+        const lines = [];
+        const colors = [];
+        const property = VECTOR_FIELDS[this.vectorField].property;
+
+        const magnitudes = this.data.particles.map(particle => particle[property].length());
+        const maxMagnitude = magnitudes.reduce((max, m) => Math.max(max, m), 0);
+        this.vectorFieldRange = { min: 0, max: maxMagnitude };
+
+        this.data.particles.forEach((particle, i) => {
+            const origin = this.displayPositions[particle.index];
+            if (!origin || this.isParticleHidden(particle.index)) return;
+
+            const magnitude = magnitudes[i];
+            const color = this.vectorColorScale.getColor4(maxMagnitude > 0 ? magnitude / maxMagnitude : 0);
+            const length = magnitude * this.vectorScale;
+
+            // Zero vectors still get degenerate lines so the vertex count stays fixed for updates
+            const direction = magnitude > 0 ? particle[property].scale(1 / magnitude) : new BABYLON.Vector3(0, 1, 0);
+            const tip = origin.add(direction.scale(length));
+            const back = tip.subtract(direction.scale(length * 0.25));
+            const side1 = VectorUtils.getPerpendicular(direction).scale(length * 0.1);
+            const side2 = BABYLON.Vector3.Cross(direction, side1);
+
+            lines.push(
+                [origin, tip],
+                [tip, back.add(side1)],
+                [tip, back.subtract(side1)],
+                [tip, back.add(side2)],
+                [tip, back.subtract(side2)]
+            );
+            for (let k = 0; k < 5; k++) {
                 colors.push([color, color]);
+            }
+        });
+
+        return { lines, colors };
+    }
+
+    /**
+     * Move and recolor the vector field arrows for current positions and values
+     */
+    updateVectorField() {
+        if (!this.vectorFieldMesh) return;
+
+        const { lines, colors } = this.getVectorFieldLines();
+        BABYLON.MeshBuilder.CreateLineSystem(
+            'vectorField',
+            { lines, colors, instance: this.vectorFieldMesh }
+        );
+    }
+
+    /**
+     * Select the vector field overlay: 'none', 'velocity' or 'angularVelocity'
+     */
+    setVectorField(field) {
+        this.vectorField = VECTOR_FIELDS[field] ? field : 'none';
+        this.renderVectorField();
+    }
+
+    /**
+     * Set arrow length per unit of vector magnitude
+     */
+    setVectorScale(scale) {
+        this.vectorScale = scale;
+        this.updateVectorField();
+    }
+
+    /**
+     * Legend description for the active vector field, or null when none is shown
+     */
+    getVectorFieldLegend() {
+        if (!this.vectorFieldMesh) return null;
+
+        return {
+            title: VECTOR_FIELDS[this.vectorField].title,
+            min: this.vectorFieldRange.min,
+            max: this.vectorFieldRange.max,
+            colorScale: this.vectorColorScale
+        };
+    }
+
+    /**
+     * Render simulation bounding box
+     */
+    renderBoundingBox(box) {
+        if (!box) return;
+
+        // Create box mesh
+        this.boxMesh = BABYLON.MeshBuilder.CreateBox('simulationBox', {
+            width: box.x,
+            height: box.y,
+            depth: box.z
+        }, this.scene);
+
+        // Position at center (0 to L) => center at L/2
+        this.boxMesh.position = new BABYLON.Vector3(box.x / 2, box.y / 2, box.z / 2);
+
+        // Create wireframe material
+        const material = new BABYLON.StandardMaterial('boxMat', this.scene);
+        material.diffuseColor = new BABYLON.Color3(1.0, 1.0, 1.0);
+        material.emissiveColor = new BABYLON.Color3(0.5, 0.5, 0.5);
+        material.wireframe = true;
+        material.disableLighting = true;
+
+        this.boxMesh.material = material;
+        this.boxMesh.isPickable = false;
+    }
+
+    /**
+     * Clear all meshes from scene
+     */
+    clearScene() {
+        // Dispose nucleotide instances or thin instances
+        this.disposeNucleotides();
+
+        // Dispose bonds
+        this.disposeBonds();
+
+        // Dispose patches (disposing a source mesh also disposes its instances)
+        this.patchMeshes.forEach(mesh => mesh.dispose(false, true));
+        this.patchMeshes = [];
+        this.patchInstances = [];
+
+        // Dispose orientation axes
+        if (this.axisMesh) {
+            this.axisMesh.dispose();
+            this.axisMesh = null;
+        }
+
+        // Dispose vector field arrows
+        if (this.vectorFieldMesh) {
+            this.vectorFieldMesh.dispose();
+            this.vectorFieldMesh = null;
+        }
+
+        // Dispose bound patch overlay
+        if (this.patchBondMesh) {
+            this.patchBondMesh.dispose();
+            this.patchBondMesh = null;
+        }
+
+        // Dispose selection outlines
+        this.highlightedParticles.clear();
+        if (this.selectionMesh) {
+            this.selectionMesh.dispose();
+            this.selectionMesh = null;
+        }
+
+        // Dispose box mesh
+        if (this.boxMesh) {
+            this.boxMesh.dispose();
+            this.boxMesh = null;
+        }
+    }
+
+    /**
+     * Highlight selected nucleotide
+     */
+    highlightNucleotide(particleIndex, highlight = true) {
+        if (highlight === this.highlightedParticles.has(particleIndex)) return;
+
+        if (highlight) {
+            this.highlightedParticles.add(particleIndex);
+        } else {
+            this.highlightedParticles.delete(particleIndex);
+        }
+        this.renderSelection();
+    }
+
+    /**
+     * Replace all highlighted particles at once; cheaper than highlighting them one by one
+     */
+    setHighlightedParticles(particleIndices) {
+        this.highlightedParticles = new Set(particleIndices);
+        this.renderSelection();
+    }
+
+    /**
+     * Outline every highlighted particle with one thin instance each
+     */
+    renderSelection() {
+        const particles = this.data ? this.data.particles : [];
+        const selected = [...this.highlightedParticles].filter(index => particles[index]);
+
+        if (selected.length === 0) {
+            if (this.selectionMesh) {
+                this.selectionMesh.setEnabled(false);
+            }
+            return;
+        }
+
+        if (!this.selectionMesh) {
+            // Proxy sphere that is invisible itself but renders its outline
+            const mesh = BABYLON.MeshBuilder.CreateSphere('selectionHighlight', { diameter: 1, segments: 12 }, this.scene);
+
+            // We need a dummy material to avoid default white
+            const invisibleMat = new BABYLON.StandardMaterial('selectionHighlightMat', this.scene);
+            invisibleMat.alpha = 0;
+            mesh.material = invisibleMat;
+
+            mesh.renderOutline = true;
+            mesh.outlineColor = new BABYLON.Color3(1, 0.8, 0); // Yellow
+            mesh.outlineWidth = 0.1;
+
+            // Prevent picking the highlight mesh itself, and culling by the proxy's own bounds
+            mesh.isPickable = false;
+            mesh.alwaysSelectAsActiveMesh = true;
+
+            this.selectionMesh = mesh;
+        }
+
+        // Match position and scale
+        const matrices = new Float32Array(selected.length * 16);
+        selected.forEach((particleIndex, k) => {
+            const radius = particles[particleIndex].radius;
+            const position = this.displayPositions[particleIndex];
+            matrices[k * 16] = radius;
+            matrices[k * 16 + 5] = radius;
+            matrices[k * 16 + 10] = radius;
+            matrices[k * 16 + 12] = position.x;
+            matrices[k * 16 + 13] = position.y;
+            matrices[k * 16 + 14] = position.z;
+            matrices[k * 16 + 15] = 1;
+        });
+
+        this.selectionMesh.thinInstanceSetBuffer('matrix', matrices, 16, false);
+        this.selectionMesh.setEnabled(true);
+    }
+
+    /**
+     * Get particle at screen position (for picking). Resolves asynchronously since
+     * thin instances are picked on the GPU. With skipIfBusy, a pick that would have to wait
+     * for a running GPU pick resolves to null instead (for hover).
+     */
+    async pickParticle(x, y, skipIfBusy = false) {
+        if (!this.data) return null;
+
+        if (this.activeParticleMode === 'thin') {
+            return this.pickThinInstance(x, y, skipIfBusy);
+        }
+
+        if (this.activeParticleMode === 'impostors') {
+            const ray = this.scene.createPickingRay(x, y, BABYLON.Matrix.Identity(), this.camera);
+            const index = this.impostors ? this.impostors.pick(ray) : -1;
+            return index >= 0 ? this.data.particles[index] : null;
+        }
+
+        const pickInfo = this.scene.pick(x, y, mesh => {
+            return mesh.metadata && mesh.metadata.particle !== undefined;
+        });
+
+        if (pickInfo.hit && pickInfo.pickedMesh && pickInfo.pickedMesh.metadata) {
+            return pickInfo.pickedMesh.metadata.particle;
+        }
+
+        return null;
+    }
+
+    /**
+     * Pick a thin instance by its id with the GPU picker, or by ray casting when unavailable
+     */
+    async pickThinInstance(x, y, skipIfBusy = false) {
+        if (!this.particleMatrices) return null;
+
+        let pickedMesh = null;
+        let instanceIndex = -1;
+        if (this.gpuPicker) {
+            // The picker rejects overlapping picks: skip, or wait until the running one is done
+            if (this.gpuPickRunning && skipIfBusy) return null;
+            while (this.gpuPickRunning) {
+                await this.gpuPickRunning.catch(() => null);
+            }
+
+            const pick = this.gpuPicker.pickAsync(x, y);
+            this.gpuPickRunning = pick;
+            let pickInfo;
+            try {
+                pickInfo = await pick;
+            } finally {
+                if (this.gpuPickRunning === pick) this.gpuPickRunning = null;
+            }
+            if (pickInfo && pickInfo.thinInstanceIndex !== undefined) {
+                pickedMesh = pickInfo.mesh;
+                instanceIndex = pickInfo.thinInstanceIndex;
+            }
+        } else {
+            const pickInfo = this.scene.pick(x, y, mesh => mesh.metadata && mesh.metadata.lodLevel !== undefined);
+            if (pickInfo.hit) {
+                pickedMesh = pickInfo.pickedMesh;
+                instanceIndex = pickInfo.thinInstanceIndex;
+            }
+        }
+
+        // Map the instance of the picked LOD mesh back to its particle;
+        // the data may have been replaced while the pick was running
+        if (!this.data || !pickedMesh || !pickedMesh.metadata || instanceIndex < 0) return null;
+        const indices = this.thinLODIndices[pickedMesh.metadata.lodLevel];
+        return indices && instanceIndex < indices.length ? this.data.particles[indices[instanceIndex]] || null : null;
+    }
+
+    /**
+     * Export current view as image
+     */
+    async exportImage(width = 1920, height = 1080) {
+        return new Promise((resolve) => {
+            BABYLON.Tools.CreateScreenshot(this.engine, this.camera, { width, height }, (data) => {
+                resolve(data);
+            });
+        });
+    }
+
+    /**
+     * Set camera speed properties
+     * speed: 1-100
+     */
+    setCameraSpeed(speed) {
+        if (!this.camera) return;
+
+        // Base values
+        const basePanning = 50;
+        const baseWheel = 50;
+
+        // Calculate multipliers (speed 50 is default/1x)
+        const factor = speed / 50;
+
+        this.camera.panningSensibility = basePanning / factor; // Higher sensibility value = slower speed
+        this.camera.wheelPrecision = baseWheel / factor; // Higher precision = slower speed
+        this.camera.angularSensibilityX = 1000 / factor;
+        this.camera.angularSensibilityY = 1000 / factor;
+    }
+
+    /**
+     * Shift particles (move box state)
+     */
+    shiftParticles(axis, amount) {
+        if (!this.data || !this.data.metadata.box) return;
+
+        if (axis === 'x') this.boxOffset.x += amount;
+        if (axis === 'y') this.boxOffset.y += amount;
+        if (axis === 'z') this.boxOffset.z += amount;
+
+        this.wrapPositions = true;
+        this.updateParticlePositions();
+    }
+
+    /**
+     * Refresh positions after the loaded data switched to another trajectory frame
+     */
+    updateFrame() {
+        if (!this.data) return;
+
+        this.originalParticlePositions = this.data.particles.map(p => p.position.clone());
+        this.clusters = null;
+        this.patchBindings = null;
+
+        // Box dimensions may change between frames (e.g. constant-pressure runs)
+        const box = this.data.metadata.box;
+        if (this.boxMesh && box) {
+            const visible = this.boxMesh.isVisible;
+            this.boxMesh.dispose();
+            this.renderBoundingBox(box);
+            this.setBoxVisibility(visible);
+        }
+
+        this.updateParticlePositions();
+
+        if (COLOR_SCHEMES[this.colorScheme].perFrame) {
+            this.applyParticleColors();
+        }
+    }
+
+    /**
+     * Update particle positions based on PBC and offset
+     */
+    updateParticlePositions() {
+        if (!this.data) return;
+
+        const box = this.data.metadata.box;
+        const hasBox = PBCUtils.hasBox(box);
+        const centering = hasBox && this.centerTarget !== 'none';
+        const unwrapping = hasBox && this.unwrapStrands;
+
+        if (!unwrapping && !centering) {
+            const canWrap = this.wrapPositions && hasBox;
+
+            // Calculate display position for every particle
+            this.displayPositions = this.originalParticlePositions.map(originalPos => {
+                const shifted = originalPos.add(this.boxOffset);
+                return canWrap ? PBCUtils.wrapPosition(shifted, box) : shifted;
+            });
+        } else {
+            this.displayPositions = this.getUnwrappedDisplayPositions(box, unwrapping, centering);
+        }
+
+        // Update particles: a buffer write for thin instances, otherwise each instance
+        if (this.particleMatrices) {
+            const matrices = this.particleMatrices;
+            this.displayPositions.forEach((position, i) => {
+                matrices[i * 16 + 12] = position.x;
+                matrices[i * 16 + 13] = position.y;
+                matrices[i * 16 + 14] = position.z;
             });
 
-            if (points.length > 0) {
-                const lineSystem = BABYLON.MeshBuilder.CreateLineSystem(
-                    'bonds',
-                    { lines: points, colors: colors, updatable: true },
-                    this.scene
+            if (this.impostors) {
+                this.impostors.update();
+            } else {
+                this.updateThinLOD(true);
+            }
+        } else {
+            this.instanceByIndex.forEach((instance, particleIndex) => {
+                instance.position.copyFrom(this.displayPositions[particleIndex]);
+            });
+        }
+
+        // Move selection outlines
+        this.renderSelection();
+
+        // Move bonds, patches and axes along with the particles
+        this.updateBonds();
+        this.updatePatches();
+        this.updateAxes();
+        this.updateVectorField();
+        this.renderPatchBonds();
+    }
+
+    /**
+     * Display positions for unwrap and/or recenter mode, derived from the original positions.
+     * Unwrapped groups are kept contiguous and shifted as a whole so their center lies in the box;
+     * otherwise particles are wrapped individually after recentering.
+     */
+    getUnwrappedDisplayPositions(box, unwrapping, centering) {
+        const particles = this.data.particles;
+        const { positions, components, componentCount } = PBCUtils.unwrap(
+            this.originalParticlePositions,
+            this.data.adjacency,
+            box
+        );
+
+        // Recentering moves the chosen group's center of mass to the box center;
+        // the manual X/Y/Z box offset still applies on top of that
+        const shift = this.boxOffset.clone();
+        if (centering) {
+            const group = this.getCenterGroup(components, componentCount);
+            if (group.length > 0) {
+                const center = VectorUtils.calculateCenterOfMass(
+                    group.map(i => positions[i]),
+                    group.map(i => particles[i].mass)
                 );
-                lineSystem.isPickable = false;
-                this.bondMeshes.push(lineSystem);
+                shift.addInPlace(new BABYLON.Vector3(box.x / 2, box.y / 2, box.z / 2).subtract(center));
+            }
+        }
+
+        const shifted = positions.map(position => position.add(shift));
+
+        if (!unwrapping) {
+            return shifted.map(position => PBCUtils.wrapPosition(position, box));
+        }
+
+        // Move each group by whole box vectors so its center of mass lies inside the box
+        const groups = Array.from({ length: componentCount }, () => []);
+        components.forEach((component, i) => groups[component].push(i));
+
+        groups.forEach(group => {
+            const center = VectorUtils.calculateCenterOfMass(
+                group.map(i => shifted[i]),
+                group.map(i => particles[i].mass)
+            );
+            const offset = PBCUtils.wrapPosition(center, box).subtract(center);
+            group.forEach(i => shifted[i].addInPlace(offset));
+        });
+
+        return shifted;
+    }
+
+    /**
+     * Particle indices of the group selected by the center target
+     */
+    getCenterGroup(components, componentCount) {
+        if (this.centerTarget === 'largest') {
+            const sizes = new Array(componentCount).fill(0);
+            components.forEach(component => sizes[component]++);
+
+            let largest = 0;
+            for (let c = 1; c < componentCount; c++) {
+                if (sizes[c] > sizes[largest]) largest = c;
             }
+
+            const group = [];
+            components.forEach((component, i) => {
+                if (component === largest) group.push(i);
+            });
+            return group;
+        }
+
+        if (this.centerTarget.startsWith('strand:')) {
+            const strandId = parseInt(this.centerTarget.split(':')[1]);
+            return this.data.particles.filter(p => p.strand === strandId).map(p => p.index);
+        }
+
+        return [];
+    }
+
+    /**
+     * Enable or disable drawing bonded groups contiguously
+     */
+    setUnwrapStrands(enabled) {
+        this.unwrapStrands = enabled;
+        this.updateParticlePositions();
+    }
+
+    /**
+     * Recenter the box on 'none', the 'largest' cluster or a strand ('strand:<id>')
+     */
+    setCenterTarget(target) {
+        this.centerTarget = target || 'none';
+        this.updateParticlePositions();
+    }
+
+    /**
+     * Whether a particle belongs to a hidden strand
+     */
+    isParticleHidden(particleIndex) {
+        return this.hiddenParticles !== null && this.hiddenParticles[particleIndex] === 1;
+    }
+
+    /**
+     * Hide the given strands and show all others
+     */
+    setHiddenStrands(strandIds) {
+        this.hiddenStrands = new Set(strandIds);
+
+        if (this.hiddenStrands.size === 0 || !this.data) {
+            this.hiddenParticles = null;
+        } else {
+            this.hiddenParticles = new Uint8Array(this.data.particles.length);
+            this.data.particles.forEach(particle => {
+                if (this.hiddenStrands.has(particle.strand)) {
+                    this.hiddenParticles[particle.index] = 1;
+                }
+            });
         }
+
+        this.applyParticleVisibility();
+        this.updateBonds();
+        this.setPatchVisibility(this.showPatches);
+        this.renderAxes();
+        this.renderVectorField();
+        this.renderPatchBonds();
+    }
+
+    /**
+     * Show or hide particles according to the hidden-particle mask
+     */
+    applyParticleVisibility() {
+        if (!this.data) return;
+
+        if (this.particleMatrices) {
+            this.data.particles.forEach((particle, i) => {
+                const scale = this.isParticleHidden(particle.index) ? 0 : particle.radius;
+                this.particleMatrices[i * 16] = scale;
+                this.particleMatrices[i * 16 + 5] = scale;
+                this.particleMatrices[i * 16 + 10] = scale;
+            });
+
+            if (this.impostors) {
+                this.impostors.update();
+            } else {
+                this.updateThinLOD(true);
+            }
+        } else {
+            this.instanceByIndex.forEach((instance, particleIndex) => {
+                const visible = !this.isParticleHidden(particleIndex);
+                instance.isVisible = visible;
+                instance.isPickable = visible;
+            });
+        }
+    }
+
+    /**
+     * Screen position of every particle in canvas CSS pixels, as x, y pairs indexed by
+     * particle index. Hidden particles and particles behind the camera get NaN.
+     */
+    projectParticles() {
+        const count = this.displayPositions.length;
+        const screen = new Float32Array(count * 2).fill(NaN);
+        const m = this.scene.getTransformMatrix().m;
+        const width = this.canvas.clientWidth;
+        const height = this.canvas.clientHeight;
+
+        for (let i = 0; i < count; i++) {
+            if (this.isParticleHidden(i)) continue;
+            projectToScreen(m, this.displayPositions[i], width, height, screen, i * 2);
+        }
+
+        return screen;
+    }
+
+    /**
+     * Screen position of a world point in canvas CSS pixels, or null behind the camera
+     */
+    projectPoint(point) {
+        const screen = [0, 0];
+        const m = this.scene.getTransformMatrix().m;
+        if (!projectToScreen(m, point, this.canvas.clientWidth, this.canvas.clientHeight, screen, 0)) return null;
+        return { x: screen[0], y: screen[1] };
+    }
+
+    /**
+     * Point the camera at a group of particles and zoom out until they fit
+     */
+    focusOnParticles(particleIndices) {
+        if (!this.data || particleIndices.length === 0) return;
+
+        const positions = particleIndices.map(index => this.displayPositions[index]);
+        const center = VectorUtils.calculateCenterOfMass(positions);
+        const bbox = VectorUtils.calculateBoundingBox(positions);
+        const size = bbox.max.subtract(bbox.min);
+        const minSize = this.data.particles[particleIndices[0]].radius * 4;
+
+        this.camera.target = center;
+        this.camera.radius = Math.max(size.x, size.y, size.z, minSize) * 2;
     }
 
     /**
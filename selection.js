@@ -0,0 +1,337 @@
+/**
+ * Selection query language
+ *
+ *   strand 1 and type -5          index 10-40, 55
+ *   within 8 of strand 0          patch color 21
+ *   speed > 0.5                   not (x < 10 or x > 20)
+ *
+ * Keywords combine with and, or, not and parentheses. Lists accept single values
+ * and inclusive ranges (a-b), separated by spaces or commas.
+ */
+
+import { PBCUtils, SpatialGrid } from './utils.js';
+
+// Per-particle values that can be compared or matched against lists
+const PROPERTIES = {
+    strand: p => p.strand,
+    type: p => p.type,
+    index: p => p.index,
+    mass: p => p.mass,
+    radius: p => p.radius,
+    speed: p => p.velocity.length(),
+    x: p => p.position.x,
+    y: p => p.position.y,
+    z: p => p.position.z
+};
+
+const COMPARISONS = {
+    '<': (a, b) => a < b,
+    '<=': (a, b) => a <= b,
+    '>': (a, b) => a > b,
+    '>=': (a, b) => a >= b,
+    '==': (a, b) => a === b,
+    '=': (a, b) => a === b,
+    '!=': (a, b) => a !== b
+};
+
+/**
+ * Split a query into tokens { type: 'number' | 'word' | 'op' | 'range', value, position }.
+ * After a number, a '-' that touches it ("10-40", "-5--3") or stands alone ("10 - 40")
+ * is a range; otherwise it is a minus sign ("1 -2" lists 1 and -2).
+ */
+function tokenize(source) {
+    const tokens = [];
+    const pattern = /\s*(?:(-?\d+(?:\.\d+)?(?:e[+-]?\d+)?)|([A-Za-z_]\w*)|(<=|>=|==|!=|[<>=(),]))/y;
+    let position = 0;
+
+    while (position < source.length) {
+        const offset = source.slice(position).search(/\S/);
+        if (offset < 0) break;
+
+        const previous = tokens[tokens.length - 1];
+        const dash = position + offset;
+        if (source[dash] === '-' && previous && previous.type === 'number' &&
+            (previous.position + previous.text.length === dash || /\s/.test(source[dash + 1] || ''))) {
+            tokens.push({ type: 'range', value: '-', text: '-', position: dash });
+            position = dash + 1;
+            continue;
+        }
+
+        pattern.lastIndex = position;
+        const match = pattern.exec(source);
+        if (!match) {
+            throw new Error(`Unexpected character "${source[dash]}" at position ${dash + 1}`);
+        }
+
+        const start = position + match[0].length - match[0].trimStart().length;
+        const text = match[0].trim();
+        if (match[1] !== undefined) {
+            tokens.push({ type: 'number', value: parseFloat(text), text, position: start });
+        } else if (match[2] !== undefined) {
+            tokens.push({ type: 'word', value: text.toLowerCase(), text, position: start });
+        } else {
+            tokens.push({ type: 'op', value: text, text, position: start });
+        }
+        position = pattern.lastIndex;
+    }
+
+    return tokens;
+}
+
+/**
+ * A parsed selection expression that can be evaluated against combined data
+ */
+export class SelectionQuery {
+    constructor(source) {
+        this.source = source;
+        this.tokens = tokenize(source);
+        this.position = 0;
+
+        if (this.tokens.length === 0) {
+            throw new Error('Empty selection');
+        }
+
+        this.ast = this.parseOr();
+        if (this.position < this.tokens.length) {
+            this.fail(`Unexpected "${this.peek().text}"`);
+        }
+    }
+
+    /**
+     * Query from an already built syntax tree such as { kind: 'list', property: 'strand', ranges: [[1, 1]] },
+     * for callers that have values rather than query text
+     */
+    static fromTree(ast) {
+        const query = Object.create(SelectionQuery.prototype);
+        query.source = null;
+        query.tokens = [];
+        query.position = 0;
+        query.ast = ast;
+        return query;
+    }
+
+    /**
+     * Indices of the particles matching the query
+     */
+    evaluate(data) {
+        const mask = this.evaluateNode(this.ast, data);
+        const indices = [];
+        mask.forEach((selected, index) => {
+            if (selected) indices.push(index);
+        });
+        return indices;
+    }
+
+    // --- Parser (recursive descent; 'or' binds loosest, then 'and', then 'not') ---
+
+    parseOr() {
+        let node = this.parseAnd();
+        while (this.acceptWord('or')) {
+            node = { kind: 'or', left: node, right: this.parseAnd() };
+        }
+        return node;
+    }
+
+    parseAnd() {
+        let node = this.parseNot();
+        while (this.acceptWord('and')) {
+            node = { kind: 'and', left: node, right: this.parseNot() };
+        }
+        return node;
+    }
+
+    parseNot() {
+        if (this.acceptWord('not')) {
+            return { kind: 'not', operand: this.parseNot() };
+        }
+        return this.parsePrimary();
+    }
+
+    parsePrimary() {
+        const token = this.peek();
+        if (!token) this.fail('Expected a selection');
+
+        if (token.type === 'op' && token.value === '(') {
+            this.position++;
+            const node = this.parseOr();
+            this.expectOp(')');
+            return node;
+        }
+
+        if (token.type !== 'word') this.fail(`Expected a keyword, found "${token.text}"`);
+        this.position++;
+
+        switch (token.value) {
+            case 'all':
+                return { kind: 'all' };
+            case 'none':
+                return { kind: 'none' };
+            case 'within': {
+                const distance = this.expectNumber();
+                if (!this.acceptWord('of')) this.fail('Expected "of" after the distance in "within"');
+                return { kind: 'within', distance, operand: this.parseNot() };
+            }
+            case 'patch': {
+                const field = this.peek();
+                if (!field || field.type !== 'word' || !['color', 'id'].includes(field.value)) {
+                    this.fail('Expected "color" or "id" after "patch"');
+                }
+                this.position++;
+                return { kind: 'patch', field: field.value, ranges: this.parseList() };
+            }
+            default:
+                if (!(token.value in PROPERTIES)) {
+                    this.position--;
+                    this.fail(`Unknown keyword "${token.text}"`);
+                }
+                return this.parseProperty(token.value);
+        }
+    }
+
+    /**
+     * A property followed by a comparison (speed > 0.5) or a list (index 10-40)
+     */
+    parseProperty(property) {
+        const token = this.peek();
+        if (token && token.type === 'op' && token.value in COMPARISONS) {
+            this.position++;
+            return { kind: 'compare', property, operator: token.value, value: this.expectNumber() };
+        }
+        return { kind: 'list', property, ranges: this.parseList() };
+    }
+
+    /**
+     * One or more values or ranges as [min, max] pairs
+     */
+    parseList() {
+        const ranges = [];
+        do {
+            const min = this.expectNumber();
+            let max = min;
+            const token = this.peek();
+            if (token && token.type === 'range') {
+                this.position++;
+                max = this.expectNumber();
+            }
+            ranges.push([Math.min(min, max), Math.max(min, max)]);
+            this.acceptOp(',');
+        } while (this.peek() && this.peek().type === 'number');
+        return ranges;
+    }
+
+    peek() {
+        return this.tokens[this.position];
+    }
+
+    acceptWord(word) {
+        const token = this.peek();
+        if (token && token.type === 'word' && token.value === word) {
+            this.position++;
+            return true;
+        }
+        return false;
+    }
+
+    acceptOp(op) {
+        const token = this.peek();
+        if (token && token.type === 'op' && token.value === op) {
+            this.position++;
+            return true;
+        }
+        return false;
+    }
+
+    expectOp(op) {
+        if (!this.acceptOp(op)) this.fail(`Expected "${op}"`);
+    }
+
+    expectNumber() {
+        const token = this.peek();
+        if (!token || token.type !== 'number') this.fail('Expected a number');
+        this.position++;
+        return token.value;
+    }
+
+    fail(message) {
+        const token = this.peek();
+        const where = token ? ` at position ${token.position + 1}` : ' at end of selection';
+        throw new Error(`${message}${where}`);
+    }
+
+    // --- Evaluation: every node yields a mask with one byte per particle ---
+
+    evaluateNode(node, data) {
+        const particles = data.particles;
+        const mask = new Uint8Array(particles.length);
+
+        switch (node.kind) {
+            case 'all':
+                mask.fill(1);
+                break;
+            case 'none':
+                break;
+            case 'and':
+            case 'or': {
+                const left = this.evaluateNode(node.left, data);
+                const right = this.evaluateNode(node.right, data);
+                for (let i = 0; i < mask.length; i++) {
+                    mask[i] = node.kind === 'and' ? left[i] & right[i] : left[i] | right[i];
+                }
+                break;
+            }
+            case 'not': {
+                const operand = this.evaluateNode(node.operand, data);
+                for (let i = 0; i < mask.length; i++) {
+                    mask[i] = operand[i] ? 0 : 1;
+                }
+                break;
+            }
+            case 'list': {
+                const read = PROPERTIES[node.property];
+                particles.forEach((particle, i) => {
+                    mask[i] = SelectionQuery.inRanges(read(particle), node.ranges) ? 1 : 0;
+                });
+                break;
+            }
+            case 'compare': {
+                const read = PROPERTIES[node.property];
+                const compare = COMPARISONS[node.operator];
+                particles.forEach((particle, i) => {
+                    mask[i] = compare(read(particle), node.value) ? 1 : 0;
+                });
+                break;
+            }
+            case 'patch':
+                particles.forEach((particle, i) => {
+                    mask[i] = particle.patches.some(patch => SelectionQuery.inRanges(patch[node.field], node.ranges)) ? 1 : 0;
+                });
+                break;
+            case 'within': {
+                const operand = this.evaluateNode(node.operand, data);
+
+                // An infinite distance reaches every particle; a negative or NaN one none
+                if (!(node.distance >= 0)) break;
+                if (node.distance === Infinity) {
+                    if (operand.includes(1)) mask.fill(1);
+                    break;
+                }
+
+                const box = data.metadata && data.metadata.box;
+                const grid = new SpatialGrid(particles.map(p => p.position), node.distance, PBCUtils.hasBox(box) ? box : null);
+                particles.forEach((particle, i) => {
+                    if (!operand[i]) return;
+                    grid.forEachWithin(particle.position, node.distance, neighbor => {
+                        mask[neighbor] = 1;
+                    });
+                });
+                break;
+            }
+        }
+
+        return mask;
+    }
+
+    static inRanges(value, ranges) {
+        return ranges.some(([min, max]) => value >= min && value <= max);
+    }
+}
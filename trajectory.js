@@ -0,0 +1,340 @@
+/**
+ * Trajectory playback for multi-frame configuration files
+ */
+
+import { ConfigurationParser } from './parsers.js';
+import { LRUCache } from './utils.js';
+
+/**
+ * Drives frame-by-frame playback of a trajectory
+ */
+export class TrajectoryPlayer {
+    constructor() {
+        this.frameCount = 0;
+        this.currentFrame = 0;
+        this.fps = 10;
+        this.loop = true;
+        this.playing = false;
+
+        this.timer = null;
+        this.loading = false;
+        this.requestedFrame = null;
+
+        // Called with the new frame index; may return a promise that resolves once the frame is shown
+        this.onFrameChanged = null;
+        // Called whenever frame, play state or settings change
+        this.onStateChanged = null;
+    }
+
+    /**
+     * Reset the player for a trajectory with the given number of frames
+     */
+    setFrameCount(frameCount) {
+        this.pause();
+        this.frameCount = frameCount;
+        this.currentFrame = 0;
+        this.requestedFrame = null;
+        this.notifyStateChanged();
+    }
+
+    /**
+     * Start playback from the current frame
+     */
+    play() {
+        if (this.playing || this.frameCount < 2) return;
+
+        // Restart from the beginning when playing past the end without looping
+        if (!this.loop && this.currentFrame >= this.frameCount - 1) {
+            this.seek(0);
+        }
+
+        this.playing = true;
+        this.notifyStateChanged();
+        this.scheduleNextFrame();
+    }
+
+    /**
+     * Pause playback
+     */
+    pause() {
+        this.playing = false;
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+        this.notifyStateChanged();
+    }
+
+    /**
+     * Toggle between playing and paused
+     */
+    togglePlay() {
+        if (this.playing) {
+            this.pause();
+        } else {
+            this.play();
+        }
+    }
+
+    /**
+     * Step a number of frames forward (positive) or backward (negative)
+     */
+    step(delta) {
+        this.pause();
+
+        let target = this.currentFrame + delta;
+        if (this.loop) {
+            target = ((target % this.frameCount) + this.frameCount) % this.frameCount;
+        }
+
+        return this.seek(target);
+    }
+
+    /**
+     * Jump to a frame. Requests made while a frame is loading are coalesced to the latest one.
+     */
+    async seek(frameIndex) {
+        if (this.frameCount === 0) return;
+
+        this.requestedFrame = Math.max(0, Math.min(this.frameCount - 1, Math.round(frameIndex)));
+        if (this.loading) return;
+
+        this.loading = true;
+        try {
+            while (this.requestedFrame !== null) {
+                const frame = this.requestedFrame;
+                this.requestedFrame = null;
+
+                if (frame === this.currentFrame) continue;
+
+                this.currentFrame = frame;
+                if (this.onFrameChanged) {
+                    await this.onFrameChanged(frame);
+                }
+                this.notifyStateChanged();
+            }
+        } finally {
+            this.loading = false;
+        }
+    }
+
+    /**
+     * Set playback speed in frames per second
+     */
+    setFPS(fps) {
+        this.fps = Math.max(1, Math.min(60, fps || 1));
+        this.notifyStateChanged();
+    }
+
+    /**
+     * Enable or disable looping back to the first frame
+     */
+    setLoop(loop) {
+        this.loop = loop;
+        this.notifyStateChanged();
+    }
+
+    /**
+     * Schedule the next playback frame; waits for each frame to load before timing the next
+     */
+    scheduleNextFrame() {
+        this.timer = setTimeout(async () => {
+            if (!this.playing) return;
+
+            let next = this.currentFrame + 1;
+            if (next >= this.frameCount) {
+                if (!this.loop) {
+                    this.pause();
+                    return;
+                }
+                next = 0;
+            }
+
+            await this.seek(next);
+
+            if (this.playing) {
+                this.scheduleNextFrame();
+            }
+        }, 1000 / this.fps);
+    }
+
+    /**
+     * Notify listeners of a state change
+     */
+    notifyStateChanged() {
+        if (this.onStateChanged) {
+            this.onStateChanged(this);
+        }
+    }
+}
+
+/**
+ * Frame source for trajectories that were parsed completely into memory
+ */
+export class InMemoryFrameSource {
+    constructor(frames) {
+        this.frames = frames;
+        this.frameCount = frames.length;
+    }
+
+    /**
+     * Get a parsed frame
+     */
+    async getFrame(frameIndex) {
+        return this.frames[frameIndex];
+    }
+
+    /**
+     * Nothing to prefetch; all frames are in memory
+     */
+    prefetch() {}
+}
+
+// Bytes of the configuration format that matter when looking for frame boundaries
+const CHAR = { newline: 10, carriageReturn: 13, space: 32, tab: 9, hash: 35, equals: 61, t: 116, b: 98, E: 69 };
+
+/**
+ * Byte-offset index of the frames in a trajectory file. Frames are read with Blob.slice
+ * and parsed only when requested, with the most recently used ones kept in an LRU cache.
+ */
+export class TrajectoryIndex {
+    /**
+     * offsets[i] is the byte offset where frame i starts; firstLines[i] its 1-based line number
+     */
+    constructor(file, offsets, firstLines, cacheSize = 16) {
+        this.file = file;
+        this.offsets = offsets;
+        this.firstLines = firstLines;
+        this.frameCount = offsets.length;
+
+        this.parser = new ConfigurationParser();
+        this.cache = new LRUCache(cacheSize);
+        // Frames currently being read, so concurrent requests share one read
+        this.pending = new Map();
+    }
+
+    /**
+     * Scan a file in chunks and record where each frame starts. A frame starts at the first
+     * header line (t, b or E) after data rows, matching ConfigurationParser.parseTrajectory.
+     */
+    static async build(file, { chunkSize = 8 * 1024 * 1024, onProgress = null, isCancelled = null } = {}) {
+        const offsets = [0];
+        const firstLines = [1];
+
+        // Per-line scanner state, carried across chunk boundaries
+        let state = 'start';
+        let inHeader = true;
+        let lineNumber = 1;
+        let lineStart = 0;
+
+        for (let chunkStart = 0; chunkStart < file.size; chunkStart += chunkSize) {
+            if (isCancelled && isCancelled()) {
+                throw new Error('Loading cancelled');
+            }
+
+            const bytes = new Uint8Array(await file.slice(chunkStart, chunkStart + chunkSize).arrayBuffer());
+
+            for (let i = 0; i < bytes.length; i++) {
+                const byte = bytes[i];
+
+                if (byte === CHAR.newline) {
+                    state = 'start';
+                    lineNumber++;
+                    lineStart = chunkStart + i + 1;
+                    continue;
+                }
+                if (state === 'rest') continue;
+
+                const isSpace = byte === CHAR.space || byte === CHAR.tab || byte === CHAR.carriageReturn;
+
+                if (state === 'start') {
+                    if (isSpace) continue;
+                    if (byte === CHAR.hash) {
+                        state = 'rest';
+                    } else if (byte === CHAR.t || byte === CHAR.b || byte === CHAR.E) {
+                        state = 'key';
+                    } else {
+                        inHeader = false;
+                        state = 'rest';
+                    }
+                } else if (state === 'key') {
+                    if (isSpace) continue;
+                    if (byte === CHAR.equals) {
+                        // Header line; after data rows it opens a new frame
+                        if (!inHeader) {
+                            offsets.push(lineStart);
+                            firstLines.push(lineNumber);
+                        }
+                        inHeader = true;
+                    } else {
+                        inHeader = false;
+                    }
+                    state = 'rest';
+                }
+            }
+
+            if (onProgress) onProgress(Math.min(1, (chunkStart + bytes.length) / file.size));
+        }
+
+        return new TrajectoryIndex(file, Float64Array.from(offsets), Float64Array.from(firstLines));
+    }
+
+    /**
+     * Get a parsed frame, reading it from the file if it is not cached
+     */
+    getFrame(frameIndex) {
+        const cached = this.cache.get(frameIndex);
+        if (cached) return Promise.resolve(cached);
+
+        if (!this.pending.has(frameIndex)) {
+            const read = this.readFrame(frameIndex)
+                .then(frame => {
+                    this.cache.set(frameIndex, frame);
+                    return frame;
+                })
+                .finally(() => this.pending.delete(frameIndex));
+            this.pending.set(frameIndex, read);
+        }
+        return this.pending.get(frameIndex);
+    }
+
+    /**
+     * Start loading a frame in the background, e.g. the next one during playback
+     */
+    prefetch(frameIndex) {
+        if (frameIndex >= 0 && frameIndex < this.frameCount && !this.cache.has(frameIndex)) {
+            this.getFrame(frameIndex).catch(error => console.warn(`Prefetch of frame ${frameIndex} failed:`, error));
+        }
+    }
+
+    /**
+     * Read and parse one frame's byte range
+     */
+    async readFrame(frameIndex) {
+        const start = this.offsets[frameIndex];
+        const end = frameIndex + 1 < this.frameCount ? this.offsets[frameIndex + 1] : this.file.size;
+        const text = await this.file.slice(start, end).text();
+        return this.parser.parseFrameText(text, this.firstLines[frameIndex]);
+    }
+
+    /**
+     * Put an already parsed frame into the cache
+     */
+    addToCache(frameIndex, frame) {
+        this.cache.set(frameIndex, frame);
+    }
+
+    /**
+     * Plain data that can be posted between threads and passed to fromData
+     */
+    toData() {
+        return { file: this.file, offsets: this.offsets, firstLines: this.firstLines };
+    }
+
+    /**
+     * Recreate an index from toData() output
+     */
+    static fromData({ file, offsets, firstLines }, cacheSize = 16) {
+        return new TrajectoryIndex(file, offsets, firstLines, cacheSize);
+    }
+}
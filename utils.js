@@ -2,8 +2,12 @@
  * Utility functions for DNA visualization
  */
 
+// localStorage key of the user's palette
+const PALETTE_STORAGE_KEY = 'dnaVisualizer.palette';
+
 /**
- * Maps color codes from topology to RGB colors
+ * Maps color codes from topology to RGB colors. Users can override the color of
+ * any patch color code or strand; overrides are exported, imported and persisted as JSON.
  */
 export class ColorMapper {
     constructor() {
@@ -16,6 +20,10 @@ export class ColorMapper {
 
         // Generate colors for other values using gradient
         this.generateGradient();
+
+        // User overrides, keyed by color code and by strand id
+        this.customColors = {};
+        this.strandColors = {};
     }
 
     generateGradient() {
@@ -56,7 +64,7 @@ export class ColorMapper {
 
     getColor(colorCode) {
         const key = colorCode.toString();
-        return this.colorPalette[key] || this.colorPalette['100'];
+        return this.customColors[key] || this.colorPalette[key] || this.colorPalette['100'];
     }
 
     getColor3(colorCode) {
@@ -68,6 +76,268 @@ export class ColorMapper {
         const color = this.getColor(colorCode);
         return new BABYLON.Color4(color.r, color.g, color.b, alpha);
     }
+
+    /**
+     * Override the color of a patch color code; null restores the built-in color
+     */
+    setColor(colorCode, color) {
+        const key = colorCode.toString();
+        if (color) {
+            this.customColors[key] = { r: color.r, g: color.g, b: color.b };
+        } else {
+            delete this.customColors[key];
+        }
+    }
+
+    /**
+     * Assign a color to a strand; null removes the assignment
+     */
+    setStrandColor(strand, color) {
+        const key = strand.toString();
+        if (color) {
+            this.strandColors[key] = { r: color.r, g: color.g, b: color.b };
+        } else {
+            delete this.strandColors[key];
+        }
+    }
+
+    /**
+     * Color assigned to a strand, or null when the color scheme decides
+     */
+    getStrandColor(strand) {
+        return this.strandColors[strand.toString()] || null;
+    }
+
+    /**
+     * Drop all user overrides
+     */
+    resetColors() {
+        this.customColors = {};
+        this.strandColors = {};
+    }
+
+    /**
+     * User overrides as a JSON-serializable object with hex colors
+     */
+    toJSON() {
+        const toHex = colors => Object.fromEntries(
+            Object.entries(colors).map(([key, color]) => [key, ColorMapper.toHex(color)])
+        );
+        return {
+            version: 1,
+            patchColors: toHex(this.customColors),
+            strandColors: toHex(this.strandColors)
+        };
+    }
+
+    /**
+     * Replace the user overrides with those of a palette produced by toJSON
+     */
+    fromJSON(palette) {
+        if (!palette || typeof palette !== 'object' || palette.version !== 1) {
+            throw new Error('Not a palette file (expected version 1)');
+        }
+
+        const parse = (colors = {}, kind) => Object.fromEntries(
+            Object.entries(colors).map(([key, hex]) => {
+                if (!Number.isFinite(Number(key))) {
+                    throw new Error(`Invalid ${kind} "${key}" in palette`);
+                }
+                const color = ColorMapper.fromHex(hex);
+                if (!color) {
+                    throw new Error(`Invalid color "${hex}" for ${kind} ${key}`);
+                }
+                return [key, color];
+            })
+        );
+
+        const customColors = parse(palette.patchColors, 'color code');
+        const strandColors = parse(palette.strandColors, 'strand');
+        this.customColors = customColors;
+        this.strandColors = strandColors;
+    }
+
+    /**
+     * Store the overrides in localStorage
+     */
+    save() {
+        try {
+            localStorage.setItem(PALETTE_STORAGE_KEY, JSON.stringify(this.toJSON()));
+        } catch (error) {
+            console.warn('Could not save palette:', error.message);
+        }
+    }
+
+    /**
+     * Restore overrides saved by save(); returns whether a palette was found
+     */
+    load() {
+        try {
+            const stored = localStorage.getItem(PALETTE_STORAGE_KEY);
+            if (!stored) return false;
+            this.fromJSON(JSON.parse(stored));
+            return true;
+        } catch (error) {
+            console.warn('Ignoring saved palette:', error.message);
+            return false;
+        }
+    }
+
+    /**
+     * '#rrggbb' for an { r, g, b } color with 0..1 components
+     */
+    static toHex({ r, g, b }) {
+        return '#' + [r, g, b]
+            .map(c => Math.round(Math.max(0, Math.min(1, c)) * 255).toString(16).padStart(2, '0'))
+            .join('');
+    }
+
+    /**
+     * { r, g, b } for '#rrggbb', or null when the string is not a hex color
+     */
+    static fromHex(hex) {
+        const match = /^#([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})$/i.exec(hex);
+        if (!match) return null;
+        const [r, g, b] = match.slice(1).map(part => parseInt(part, 16) / 255);
+        return { r, g, b };
+    }
+}
+
+// Continuous palettes as evenly spaced RGB stops
+const COLOR_SCALE_PALETTES = {
+    viridis: [
+        [0.267, 0.005, 0.329], [0.283, 0.141, 0.458], [0.254, 0.265, 0.530],
+        [0.207, 0.372, 0.553], [0.164, 0.471, 0.558], [0.128, 0.567, 0.551],
+        [0.135, 0.659, 0.518], [0.267, 0.749, 0.441], [0.478, 0.821, 0.318],
+        [0.741, 0.873, 0.150], [0.993, 0.906, 0.144]
+    ],
+    plasma: [
+        [0.050, 0.030, 0.528], [0.294, 0.012, 0.631], [0.492, 0.012, 0.658],
+        [0.665, 0.139, 0.586], [0.798, 0.280, 0.470], [0.899, 0.422, 0.361],
+        [0.973, 0.580, 0.254], [0.994, 0.754, 0.161], [0.940, 0.975, 0.131]
+    ],
+    coolwarm: [
+        [0.230, 0.299, 0.754], [0.406, 0.537, 0.934], [0.602, 0.731, 0.999],
+        [0.788, 0.846, 0.939], [0.867, 0.865, 0.865], [0.958, 0.770, 0.677],
+        [0.969, 0.606, 0.481], [0.882, 0.394, 0.310], [0.706, 0.016, 0.150]
+    ],
+    grayscale: [
+        [0.15, 0.15, 0.15], [0.95, 0.95, 0.95]
+    ]
+};
+
+/**
+ * Maps normalized values (0..1) to colors along a continuous palette
+ */
+export class ColorScale {
+    constructor(palette = 'viridis') {
+        this.setPalette(palette);
+    }
+
+    /**
+     * Names of the available palettes
+     */
+    static getPaletteNames() {
+        return Object.keys(COLOR_SCALE_PALETTES);
+    }
+
+    setPalette(palette) {
+        this.palette = COLOR_SCALE_PALETTES[palette] ? palette : 'viridis';
+        this.stops = COLOR_SCALE_PALETTES[this.palette];
+    }
+
+    /**
+     * Interpolate the palette at t (clamped to 0..1)
+     */
+    getColor(t) {
+        const clamped = Math.max(0, Math.min(1, Number.isFinite(t) ? t : 0));
+        const scaled = clamped * (this.stops.length - 1);
+        const i = Math.min(Math.floor(scaled), this.stops.length - 2);
+        const f = scaled - i;
+        const a = this.stops[i];
+        const b = this.stops[i + 1];
+
+        return {
+            r: a[0] + (b[0] - a[0]) * f,
+            g: a[1] + (b[1] - a[1]) * f,
+            b: a[2] + (b[2] - a[2]) * f
+        };
+    }
+
+    getColor3(t) {
+        const color = this.getColor(t);
+        return new BABYLON.Color3(color.r, color.g, color.b);
+    }
+
+    getColor4(t, alpha = 1.0) {
+        const color = this.getColor(t);
+        return new BABYLON.Color4(color.r, color.g, color.b, alpha);
+    }
+
+    /**
+     * CSS linear-gradient matching the palette, for legends
+     */
+    toCSSGradient(direction = 'to right') {
+        const stops = this.stops.map((stop, i) => {
+            const [r, g, b] = stop.map(c => Math.round(c * 255));
+            return `rgb(${r}, ${g}, ${b}) ${(i / (this.stops.length - 1) * 100).toFixed(1)}%`;
+        });
+        return `linear-gradient(${direction}, ${stops.join(', ')})`;
+    }
+}
+
+// Categorical palettes for discrete colorings; 'golden' has no fixed stops
+const CATEGORY_PALETTES = {
+    golden: null,
+    tableau: [
+        [0.122, 0.467, 0.706], [1.000, 0.498, 0.055], [0.173, 0.627, 0.173],
+        [0.839, 0.153, 0.157], [0.580, 0.404, 0.741], [0.549, 0.337, 0.294],
+        [0.890, 0.467, 0.761], [0.498, 0.498, 0.498], [0.737, 0.741, 0.133],
+        [0.090, 0.745, 0.812]
+    ],
+    pastel: [
+        [0.553, 0.827, 0.780], [1.000, 1.000, 0.702], [0.745, 0.729, 0.855],
+        [0.984, 0.502, 0.447], [0.502, 0.694, 0.827], [0.992, 0.706, 0.384],
+        [0.702, 0.871, 0.412], [0.988, 0.804, 0.898]
+    ]
+};
+
+/**
+ * Maps category numbers (0, 1, 2, ...) to distinct colors
+ */
+export class CategoryPalette {
+    constructor(palette = 'golden') {
+        this.setPalette(palette);
+    }
+
+    /**
+     * Names of the available palettes
+     */
+    static getPaletteNames() {
+        return Object.keys(CATEGORY_PALETTES);
+    }
+
+    setPalette(palette) {
+        this.palette = palette in CATEGORY_PALETTES ? palette : 'golden';
+        this.stops = CATEGORY_PALETTES[this.palette];
+    }
+
+    /**
+     * Color of a category; fixed palettes repeat, 'golden' steps the hue by the golden ratio
+     */
+    getColor(index) {
+        if (this.stops) {
+            const [r, g, b] = this.stops[index % this.stops.length];
+            return { r, g, b };
+        }
+
+        // HSV with s = 0.7, v = 0.9
+        const hue = (index * 0.618033988749895) % 1.0 * 6;
+        const f = hue - Math.floor(hue);
+        const v = 0.9, p = v * 0.3, q = v * (1 - 0.7 * f), t = v * (1 - 0.7 * (1 - f));
+        const [r, g, b] = [[v, t, p], [q, v, p], [p, v, t], [p, q, v], [t, p, v], [v, p, q]][Math.floor(hue) % 6];
+        return { r, g, b };
+    }
 }
 
 /**
@@ -98,12 +368,32 @@ export class VectorUtils {
         return particlePos.add(rotatedPos);
     }
 
+    /**
+     * Get a unit vector perpendicular to the given direction
+     */
+    static getPerpendicular(direction) {
+        const reference = Math.abs(direction.y) < 0.9
+            ? new BABYLON.Vector3(0, 1, 0)
+            : new BABYLON.Vector3(1, 0, 0);
+        return BABYLON.Vector3.Cross(direction, reference).normalize();
+    }
+
     /**
      * Calculate center of mass for a set of positions
      */
-    static calculateCenterOfMass(positions) {
+    static calculateCenterOfMass(positions, masses = null) {
         if (positions.length === 0) return new BABYLON.Vector3(0, 0, 0);
 
+        if (masses) {
+            const sum = new BABYLON.Vector3(0, 0, 0);
+            let totalMass = 0;
+            positions.forEach((pos, i) => {
+                sum.addInPlace(pos.scale(masses[i]));
+                totalMass += masses[i];
+            });
+            if (totalMass > 0) return sum.scale(1 / totalMass);
+        }
+
         const sum = positions.reduce((acc, pos) => acc.add(pos), new BABYLON.Vector3(0, 0, 0));
         return sum.scale(1 / positions.length);
     }
@@ -116,19 +406,267 @@ export class VectorUtils {
             return { min: new BABYLON.Vector3(0, 0, 0), max: new BABYLON.Vector3(0, 0, 0) };
         }
 
-        const min = new BABYLON.Vector3(
-            Math.min(...positions.map(p => p.x)),
-            Math.min(...positions.map(p => p.y)),
-            Math.min(...positions.map(p => p.z))
+        // One pass; spreading large arrays into Math.min/max overflows the call stack
+        const min = new BABYLON.Vector3(Infinity, Infinity, Infinity);
+        const max = new BABYLON.Vector3(-Infinity, -Infinity, -Infinity);
+        positions.forEach(p => {
+            min.minimizeInPlace(p);
+            max.maximizeInPlace(p);
+        });
+
+        return { min, max };
+    }
+}
+
+/**
+ * Periodic boundary condition helpers for a box spanning [0, L) on each axis
+ */
+export class PBCUtils {
+    /**
+     * Whether the box has usable (positive) dimensions
+     */
+    static hasBox(box) {
+        return !!box && box.x > 0 && box.y > 0 && box.z > 0;
+    }
+
+    /**
+     * Wrap a coordinate into [0, length)
+     */
+    static wrap(value, length) {
+        let res = value % length;
+        if (res < 0) res += length;
+        return res;
+    }
+
+    /**
+     * Wrap a position into the box
+     */
+    static wrapPosition(position, box) {
+        return new BABYLON.Vector3(
+            PBCUtils.wrap(position.x, box.x),
+            PBCUtils.wrap(position.y, box.y),
+            PBCUtils.wrap(position.z, box.z)
         );
+    }
 
-        const max = new BABYLON.Vector3(
-            Math.max(...positions.map(p => p.x)),
-            Math.max(...positions.map(p => p.y)),
-            Math.max(...positions.map(p => p.z))
+    /**
+     * Shortest periodic image of a displacement vector
+     */
+    static minimumImage(delta, box) {
+        return new BABYLON.Vector3(
+            delta.x - box.x * Math.round(delta.x / box.x),
+            delta.y - box.y * Math.round(delta.y / box.y),
+            delta.z - box.z * Math.round(delta.z / box.z)
         );
+    }
 
-        return { min, max };
+    /**
+     * Minimum-image distance between two positions
+     */
+    static minimumImageDistance(a, b, box) {
+        return PBCUtils.minimumImage(b.subtract(a), box).length();
+    }
+
+    /**
+     * Make bonded groups contiguous by walking the bond adjacency (DataCombiner.buildAdjacency)
+     * and placing every particle at the minimum image of the neighbor it was reached from.
+     * Returns the unwrapped positions and a connected-component id per particle.
+     */
+    static unwrap(positions, adjacency, box) {
+        const { coordinates, components, componentCount } = PBCUtils.unwrapCoordinates(positions, adjacency, box);
+
+        const unwrapped = new Array(positions.length);
+        for (let i = 0; i < unwrapped.length; i++) {
+            unwrapped[i] = BABYLON.Vector3.FromArray(coordinates, i * 3);
+        }
+
+        return { positions: unwrapped, components, componentCount };
+    }
+
+    /**
+     * unwrap() into a packed Float64Array (x, y, z per particle) without per-particle vectors.
+     * Without a box, bonded neighbors keep their plain offsets.
+     */
+    static unwrapCoordinates(positions, adjacency, box) {
+        const count = positions.length;
+        const { offsets, neighbors } = adjacency;
+        const size = PBCUtils.hasBox(box) ? [box.x, box.y, box.z] : null;
+
+        const coordinates = new Float64Array(count * 3);
+        const components = new Int32Array(count).fill(-1);
+        const queue = new Int32Array(count);
+        let componentCount = 0;
+
+        for (let start = 0; start < count; start++) {
+            if (components[start] !== -1) continue;
+
+            components[start] = componentCount;
+            positions[start].toArray(coordinates, start * 3);
+
+            // Breadth-first walk along bonds
+            let tail = 0;
+            queue[tail++] = start;
+            for (let head = 0; head < tail; head++) {
+                const i = queue[head];
+                for (let k = offsets[i]; k < offsets[i + 1]; k++) {
+                    const j = neighbors[k];
+                    if (components[j] !== -1) continue;
+
+                    components[j] = componentCount;
+                    const from = positions[i];
+                    const to = positions[j];
+                    const delta = [to.x - from.x, to.y - from.y, to.z - from.z];
+                    for (let axis = 0; axis < 3; axis++) {
+                        const d = size ? delta[axis] - size[axis] * Math.round(delta[axis] / size[axis]) : delta[axis];
+                        coordinates[j * 3 + axis] = coordinates[i * 3 + axis] + d;
+                    }
+                    queue[tail++] = j;
+                }
+            }
+
+            componentCount++;
+        }
+
+        return { coordinates, components, componentCount };
+    }
+
+    /**
+     * Fraction t of `delta` at which start + t * delta first reaches a box face
+     */
+    static exitFraction(start, delta, box) {
+        let t = Infinity;
+
+        ['x', 'y', 'z'].forEach(axis => {
+            if (delta[axis] > 0) {
+                t = Math.min(t, (box[axis] - start[axis]) / delta[axis]);
+            } else if (delta[axis] < 0) {
+                t = Math.min(t, -start[axis] / delta[axis]);
+            }
+        });
+
+        return t;
+    }
+}
+
+/**
+ * Uniform grid over particle positions for fixed-radius neighbor queries.
+ * With a box, positions are wrapped and distances use the minimum image.
+ */
+export class SpatialGrid {
+    constructor(positions, cellSize, box = null) {
+        this.count = positions.length;
+        this.periodic = PBCUtils.hasBox(box);
+        this.box = box;
+        this.coords = new Float64Array(this.count * 3);
+
+        positions.forEach((position, i) => {
+            this.coords[i * 3] = this.periodic ? PBCUtils.wrap(position.x, box.x) : position.x;
+            this.coords[i * 3 + 1] = this.periodic ? PBCUtils.wrap(position.y, box.y) : position.y;
+            this.coords[i * 3 + 2] = this.periodic ? PBCUtils.wrap(position.z, box.z) : position.z;
+        });
+
+        // Grid origin and extent: the box, or the bounding box of the points
+        this.origin = [0, 0, 0];
+        const extent = this.periodic ? [box.x, box.y, box.z] : [0, 0, 0];
+        if (!this.periodic && this.count > 0) {
+            for (let axis = 0; axis < 3; axis++) {
+                let min = Infinity;
+                let max = -Infinity;
+                for (let i = 0; i < this.count; i++) {
+                    min = Math.min(min, this.coords[i * 3 + axis]);
+                    max = Math.max(max, this.coords[i * 3 + axis]);
+                }
+                this.origin[axis] = min;
+                extent[axis] = max - min;
+            }
+        }
+
+        // Never use more cells than a few per point, however small the radius
+        let size = Math.max(cellSize, 1e-6);
+        const cellsFor = s => extent.map(e => Math.max(1, Math.floor(e / s)));
+        while (cellsFor(size).reduce((a, b) => a * b, 1) > Math.max(64, this.count * 4)) {
+            size *= 2;
+        }
+        this.dims = cellsFor(size);
+        this.cellSizes = extent.map((e, axis) => e > 0 ? e / this.dims[axis] : 1);
+
+        // Points bucketed by cell (CSR layout)
+        const cellCount = this.dims[0] * this.dims[1] * this.dims[2];
+        const cellOf = new Int32Array(this.count);
+        this.cellStart = new Int32Array(cellCount + 1);
+        for (let i = 0; i < this.count; i++) {
+            cellOf[i] = this.cellIndex(this.cellCoord(this.coords[i * 3], 0),
+                this.cellCoord(this.coords[i * 3 + 1], 1), this.cellCoord(this.coords[i * 3 + 2], 2));
+            this.cellStart[cellOf[i] + 1]++;
+        }
+        for (let c = 0; c < cellCount; c++) {
+            this.cellStart[c + 1] += this.cellStart[c];
+        }
+        const cursor = this.cellStart.slice(0, cellCount);
+        this.cellItems = new Int32Array(this.count);
+        for (let i = 0; i < this.count; i++) {
+            this.cellItems[cursor[cellOf[i]]++] = i;
+        }
+    }
+
+    cellCoord(value, axis) {
+        const cell = Math.floor((value - this.origin[axis]) / this.cellSizes[axis]);
+        return Math.min(Math.max(cell, 0), this.dims[axis] - 1);
+    }
+
+    cellIndex(ix, iy, iz) {
+        return ix + this.dims[0] * (iy + this.dims[1] * iz);
+    }
+
+    /**
+     * Call callback(index, distanceSquared) for every point within radius of a position
+     */
+    forEachWithin(position, radius, callback) {
+        const center = [position.x, position.y, position.z];
+        if (this.periodic) {
+            center[0] = PBCUtils.wrap(center[0], this.box.x);
+            center[1] = PBCUtils.wrap(center[1], this.box.y);
+            center[2] = PBCUtils.wrap(center[2], this.box.z);
+        }
+
+        // Cell coordinates to visit along each axis; periodic ones wrap, and each cell is visited once
+        const ranges = center.map((value, axis) => {
+            const dim = this.dims[axis];
+            const reach = Math.ceil(radius / this.cellSizes[axis]);
+            const cell = this.cellCoord(value, axis);
+
+            if (this.periodic) {
+                if (2 * reach + 1 >= dim) return Array.from({ length: dim }, (_, i) => i);
+                return Array.from({ length: 2 * reach + 1 }, (_, i) => ((cell - reach + i) % dim + dim) % dim);
+            }
+            const from = Math.max(0, cell - reach);
+            const to = Math.min(dim - 1, cell + reach);
+            return Array.from({ length: to - from + 1 }, (_, i) => from + i);
+        });
+
+        const radiusSquared = radius * radius;
+        const box = this.box;
+        const coords = this.coords;
+
+        ranges[2].forEach(iz => ranges[1].forEach(iy => ranges[0].forEach(ix => {
+            const cell = this.cellIndex(ix, iy, iz);
+            for (let k = this.cellStart[cell]; k < this.cellStart[cell + 1]; k++) {
+                const i = this.cellItems[k];
+                let dx = coords[i * 3] - center[0];
+                let dy = coords[i * 3 + 1] - center[1];
+                let dz = coords[i * 3 + 2] - center[2];
+                if (this.periodic) {
+                    dx -= box.x * Math.round(dx / box.x);
+                    dy -= box.y * Math.round(dy / box.y);
+                    dz -= box.z * Math.round(dz / box.z);
+                }
+
+                const distanceSquared = dx * dx + dy * dy + dz * dz;
+                if (distanceSquared <= radiusSquared) {
+                    callback(i, distanceSquared);
+                }
+            }
+        })));
     }
 }
 
@@ -180,13 +718,21 @@ export class LODCalculator {
     /**
      * Get LOD level based on distance from camera
      * @param {number} distance - Distance from camera
-     * @returns {string} - 'high', 'medium', 'low', or 'hidden'
+     * @returns {string} - 'high', 'medium', 'low', or 'points'
      */
     getLODLevel(distance) {
         if (distance < this.thresholds.high) return 'high';
         if (distance < this.thresholds.medium) return 'medium';
         if (distance < this.thresholds.low) return 'low';
-        return 'hidden';
+        return 'points';
+    }
+
+    /**
+     * Set the distance thresholds, keeping them in increasing order
+     */
+    setThresholds({ high, medium, low }) {
+        const [h, m, l] = [high, medium, low].sort((a, b) => a - b);
+        this.thresholds = { high: h, medium: m, low: l };
     }
 
     /**
@@ -202,6 +748,48 @@ export class LODCalculator {
     }
 }
 
+/**
+ * Least-recently-used cache with a fixed number of entries
+ */
+export class LRUCache {
+    constructor(capacity = 16) {
+        this.capacity = capacity;
+        this.entries = new Map();
+    }
+
+    /**
+     * Get a value and mark it as most recently used
+     */
+    get(key) {
+        if (!this.entries.has(key)) return undefined;
+
+        const value = this.entries.get(key);
+        this.entries.delete(key);
+        this.entries.set(key, value);
+        return value;
+    }
+
+    /**
+     * Store a value, evicting the least recently used entry when full
+     */
+    set(key, value) {
+        this.entries.delete(key);
+        this.entries.set(key, value);
+
+        while (this.entries.size > this.capacity) {
+            this.entries.delete(this.entries.keys().next().value);
+        }
+    }
+
+    has(key) {
+        return this.entries.has(key);
+    }
+
+    clear() {
+        this.entries.clear();
+    }
+}
+
 /**
  * File utilities
  */
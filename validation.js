@@ -0,0 +1,327 @@
+/**
+ * Validation of parsed topology and configuration data
+ */
+
+/**
+ * Collects errors and warnings with their source file and line
+ */
+export class Diagnostics {
+    constructor() {
+        this.entries = [];
+    }
+
+    /**
+     * Record an error (data that cannot be visualized correctly)
+     */
+    error(message, location = {}) {
+        this.add('error', message, location);
+    }
+
+    /**
+     * Record a warning (suspicious but usable data)
+     */
+    warning(message, location = {}) {
+        this.add('warning', message, location);
+    }
+
+    /**
+     * Record an entry with severity 'error' or 'warning'
+     */
+    add(severity, message, { file = null, line = null } = {}) {
+        this.entries.push({ severity, message, file, line });
+    }
+
+    /**
+     * Append all entries of another collector
+     */
+    merge(other) {
+        if (other) {
+            this.entries.push(...other.entries);
+        }
+        return this;
+    }
+
+    getErrors() {
+        return this.entries.filter(entry => entry.severity === 'error');
+    }
+
+    getWarnings() {
+        return this.entries.filter(entry => entry.severity === 'warning');
+    }
+
+    hasErrors() {
+        return this.entries.some(entry => entry.severity === 'error');
+    }
+}
+
+/**
+ * Strict checks for topology (.psp) data produced by TopologyParser
+ */
+export class TopologyValidator {
+    /**
+     * Validate a parsed topology and return its diagnostics
+     */
+    validate(topology, file = null) {
+        const diagnostics = new Diagnostics();
+        const at = line => ({ file, line });
+        const header = topology.header;
+
+        // Header
+        const headerFields = ['numParticles', 'numStrands', 'maxSpringsPerParticle', 'repeatedPatchesPerParticle'];
+        if (header.fieldCount < headerFields.length) {
+            diagnostics.error(`Header has ${header.fieldCount} fields, expected ${headerFields.length}`, at(header.line));
+        }
+        headerFields.forEach(field => {
+            if (header.fieldCount >= headerFields.length && !Number.isInteger(header[field])) {
+                diagnostics.error(`Header field ${field} is not an integer`, at(header.line));
+            }
+        });
+
+        // Patch and spring definitions
+        const patchIds = this.validateDefinitions(topology.patches, 'iP', diagnostics, file);
+        const springIds = this.validateDefinitions(topology.springs, 'iS', diagnostics, file);
+
+        // Particles
+        topology.particles.forEach(particle => {
+            this.validateParticle(particle, topology, patchIds, springIds, diagnostics, at(particle.line));
+        });
+
+        // Counts declared in the header
+        if (Number.isInteger(header.numParticles) && topology.particles.length !== header.numParticles) {
+            diagnostics.error(
+                `Header declares ${header.numParticles} particles but ${topology.particles.length} particle rows were found`,
+                at(header.line)
+            );
+        }
+
+        const strandCount = new Set(topology.particles.map(p => p.strand)).size;
+        if (Number.isInteger(header.numStrands) && strandCount !== header.numStrands) {
+            diagnostics.warning(
+                `Header declares ${header.numStrands} strands but particles use ${strandCount}`,
+                at(header.line)
+            );
+        }
+
+        return diagnostics;
+    }
+
+    /**
+     * Check iP / iS rows and return the set of defined ids
+     */
+    validateDefinitions(definitions, keyword, diagnostics, file) {
+        const ids = new Set();
+
+        definitions.forEach(definition => {
+            const at = { file, line: definition.line };
+
+            if (definition.fieldCount !== 7) {
+                diagnostics.error(`${keyword} row has ${definition.fieldCount - 1} values, expected 6`, at);
+            }
+
+            const values = keyword === 'iP'
+                ? [definition.id, definition.color, definition.strength]
+                : [definition.id, definition.stiffness, definition.restLength];
+            const { x, y, z } = definition.position;
+            if ([...values, x, y, z].some(v => Number.isNaN(v))) {
+                diagnostics.error(`${keyword} row contains non-numeric values`, at);
+            }
+
+            if (ids.has(definition.id)) {
+                diagnostics.error(`Duplicate ${keyword} id ${definition.id}`, at);
+            }
+            ids.add(definition.id);
+        });
+
+        return ids;
+    }
+
+    /**
+     * Check a particle row against the header and the patch/spring definitions
+     */
+    validateParticle(particle, topology, patchIds, springIds, diagnostics, at) {
+        const { numParticles, maxSpringsPerParticle } = topology.header;
+        const label = `Particle ${particle.index}`;
+
+        if (!Number.isInteger(particle.type) || !Number.isInteger(particle.strand)) {
+            diagnostics.error(`${label}: type and strand must be integers`, at);
+        }
+        if (!(particle.radius > 0) || !(particle.mass > 0)) {
+            diagnostics.error(`${label}: radius and mass must be positive numbers`, at);
+        }
+
+        // Patches: the declared count must be followed by that many patch ids
+        const declaredPatches = particle.patches.length;
+        const givenPatches = particle.patches.filter(id => !Number.isNaN(id)).length;
+        if (givenPatches < declaredPatches) {
+            diagnostics.error(`${label}: declares ${declaredPatches} patches but only ${givenPatches} patch ids follow`, at);
+        }
+        particle.patches.forEach(patchId => {
+            if (!Number.isNaN(patchId) && !patchIds.has(patchId)) {
+                diagnostics.error(`${label}: patch id ${patchId} has no iP definition`, at);
+            }
+        });
+
+        // Spring connections; a neighbour of -1 is a blank entry
+        const connections = particle.connections.filter(c => c.particleIndex !== -1);
+        connections.forEach(({ particleIndex, springIndex }) => {
+            if (Number.isNaN(particleIndex) || Number.isNaN(springIndex)) {
+                diagnostics.error(`${label}: non-numeric spring connection`, at);
+                return;
+            }
+            if (particleIndex < 0 || (Number.isInteger(numParticles) && particleIndex >= numParticles)) {
+                diagnostics.error(`${label}: connects to particle ${particleIndex}, outside 0..${numParticles - 1}`, at);
+            }
+            if (particleIndex === particle.index) {
+                diagnostics.warning(`${label}: connects to itself`, at);
+            }
+            if (!springIds.has(springIndex)) {
+                diagnostics.error(`${label}: spring index ${springIndex} has no iS definition`, at);
+            }
+        });
+
+        if (Number.isInteger(maxSpringsPerParticle) && connections.length > maxSpringsPerParticle) {
+            diagnostics.warning(
+                `${label}: ${connections.length} springs exceed the header maximum of ${maxSpringsPerParticle}`,
+                at
+            );
+        }
+
+        if (particle.leftoverTokens.length > 0) {
+            diagnostics.warning(`${label}: ignored unpaired trailing token "${particle.leftoverTokens.join(' ')}"`, at);
+        }
+    }
+}
+
+/**
+ * Checks for configuration (.dat) frames produced by ConfigurationParser
+ */
+export class ConfigurationValidator {
+    constructor() {
+        // Allowed deviation of |a1|, |a3| from 1 and of a1·a3 from 0
+        this.tolerance = 1e-3;
+        // Repeated problems of one kind are summarized after this many entries per file
+        this.maxReportsPerCheck = 20;
+    }
+
+    /**
+     * Validate every frame of a parsed trajectory and return the diagnostics
+     */
+    validate(frames, file = null) {
+        const diagnostics = new Diagnostics();
+
+        // One reporter for all frames, so the cap holds for the whole trajectory
+        const report = this.createReporter(diagnostics, file);
+        frames.forEach((frame, frameIndex) => {
+            const prefix = frames.length > 1 ? `Frame ${frameIndex}: ` : '';
+            this.validateFrame(frame, prefix, report);
+        });
+        report.flush();
+
+        return diagnostics;
+    }
+
+    /**
+     * Check the header, rows, orientations and box bounds of one frame
+     */
+    validateFrame(frame, prefix, report) {
+        const firstLine = frame.count > 0 ? frame.lines[0] : null;
+
+        // Header: t, b and E are all expected, in that order
+        const expected = ['t', 'b', 'E'];
+        expected.filter(key => !frame.headerOrder.includes(key)).forEach(key => {
+            report(`missing-${key}`, 'warning', `${prefix}Missing "${key} =" header line`, firstLine);
+        });
+        const present = expected.filter(key => frame.headerOrder.includes(key));
+        if (frame.headerOrder.join(' ') !== present.join(' ')) {
+            report('order', 'warning',
+                `${prefix}Header lines are in the order ${frame.headerOrder.join(', ')}, expected t, b, E`,
+                frame.headerLines[frame.headerOrder[0]]);
+        }
+
+        const { box, energy } = frame;
+        if (frame.headerLines.t && !Number.isFinite(frame.timestep)) {
+            report('timestep', 'error', `${prefix}Timestep is not a number`, frame.headerLines.t);
+        }
+        if (frame.headerLines.b && ![box.x, box.y, box.z].every(v => Number.isFinite(v) && v > 0)) {
+            report('box', 'error', `${prefix}Box size must be three positive numbers`, frame.headerLines.b);
+        }
+        if (frame.headerLines.E && ![energy.total, energy.potential, energy.kinetic].every(Number.isFinite)) {
+            report('energy', 'warning', `${prefix}Energy line does not contain three numbers`, frame.headerLines.E);
+        }
+
+        // Rows dropped by the parser
+        frame.skippedRows.forEach(row => {
+            report('short', 'error', `${prefix}Row has ${row.fieldCount} columns, expected 15; it was skipped`, row.line);
+        });
+
+        const hasBox = [box.x, box.y, box.z].every(v => Number.isFinite(v) && v > 0);
+        const columns = [frame.positions, frame.baseVectors, frame.normalVectors, frame.velocities, frame.angularVelocities];
+
+        for (let i = 0; i < frame.count; i++) {
+            const label = `${prefix}Particle ${i}`;
+            const line = frame.lines[i];
+            const o = i * 3;
+
+            if (columns.some(column => !this.isFiniteTriple(column, o))) {
+                report('nan', 'error', `${label}: row contains non-numeric values`, line);
+                continue;
+            }
+
+            const a1 = frame.baseVectors;
+            const a3 = frame.normalVectors;
+            const a1Length = Math.hypot(a1[o], a1[o + 1], a1[o + 2]);
+            const a3Length = Math.hypot(a3[o], a3[o + 1], a3[o + 2]);
+            if (Math.abs(a1Length - 1) > this.tolerance || Math.abs(a3Length - 1) > this.tolerance) {
+                report('norm', 'warning',
+                    `${label}: a1/a3 are not normalized (|a1| = ${a1Length.toFixed(4)}, |a3| = ${a3Length.toFixed(4)})`,
+                    line);
+            }
+
+            const dot = (a1[o] * a3[o] + a1[o + 1] * a3[o + 1] + a1[o + 2] * a3[o + 2]) / ((a1Length * a3Length) || 1);
+            if (Math.abs(dot) > this.tolerance) {
+                report('orthogonal', 'warning', `${label}: a1 and a3 are not orthogonal (a1·a3 = ${dot.toFixed(4)})`, line);
+            }
+
+            const [x, y, z] = frame.positions.subarray(o, o + 3);
+            if (hasBox && (x < 0 || x > box.x || y < 0 || y > box.y || z < 0 || z > box.z)) {
+                report('outside', 'warning', `${label}: position lies outside the box`, line);
+            }
+        }
+    }
+
+    /**
+     * Create a reporter that caps entries per check and summarizes the rest
+     */
+    createReporter(diagnostics, file) {
+        const counts = new Map();
+        const severities = new Map();
+
+        const report = (check, severity, message, line) => {
+            const count = (counts.get(check) || 0) + 1;
+            counts.set(check, count);
+            severities.set(check, severity);
+
+            if (count <= this.maxReportsPerCheck) {
+                diagnostics.add(severity, message, { file, line });
+            }
+        };
+
+        report.flush = () => {
+            counts.forEach((count, check) => {
+                if (count > this.maxReportsPerCheck) {
+                    const hidden = count - this.maxReportsPerCheck;
+                    diagnostics.add(severities.get(check), `...and ${hidden} more with the same problem`, { file });
+                }
+            });
+        };
+
+        return report;
+    }
+
+    /**
+     * Whether the xyz triple starting at offset is made of finite numbers
+     */
+    isFiniteTriple(array, offset) {
+        return Number.isFinite(array[offset]) && Number.isFinite(array[offset + 1]) && Number.isFinite(array[offset + 2]);
+    }
+}
@@ -0,0 +1,33 @@
+/**
+ * Parser worker: runs the ParsePipeline off the main thread and posts typed-array frames back
+ */
+
+import { ParsePipeline } from './loader.js';
+
+self.onmessage = async (e) => {
+    const { type, id, files, previousTopology } = e.data;
+    if (type !== 'load') return;
+
+    try {
+        const pipeline = new ParsePipeline();
+        const result = await pipeline.run(files, previousTopology, progress => {
+            self.postMessage({ type: 'progress', id, progress });
+        });
+
+        // Hand the frame buffers over instead of copying them
+        const transfer = [];
+        const frames = result.frames || (result.firstFrame ? [result.firstFrame] : []);
+        frames.forEach(frame => {
+            [frame.positions, frame.baseVectors, frame.normalVectors, frame.velocities, frame.angularVelocities, frame.lines]
+                .forEach(array => transfer.push(array.buffer));
+        });
+        if (result.linkedData) {
+            const { offsets, neighbors, bondIndices } = result.linkedData.adjacency;
+            transfer.push(offsets.buffer, neighbors.buffer, bondIndices.buffer);
+        }
+
+        self.postMessage({ type: 'result', id, result }, transfer);
+    } catch (error) {
+        self.postMessage({ type: 'error', id, message: error.message });
+    }
+};